@@ -1,13 +1,33 @@
 import Debug from 'debug';
 import FileBackend from './file/index.js';
+import S3Backend from './s3/index.js';
 
 const debug = Debug('stored:backends');
 
-const DRIVERS = { file: FileBackend };
+/**
+ * Driver registry shared by all Stored instances.
+ * Each entry keeps the driver class (main thread) and a module specifier whose
+ * default export is that class, so the sync worker can import it as well.
+ */
+const DRIVERS = new Map();
 
 export default class BackendManager {
     #backends = new Map();
 
+    static registerDriver(name, Driver, module = Driver?.module) {
+        if (!name || typeof name !== 'string') throw new Error('Driver name required');
+        if (typeof Driver?.prototype?.put !== 'function') throw new Error(`Driver "${name}" must extend StorageBackend`);
+        if (DRIVERS.has(name)) throw new Error(`Driver "${name}" already registered`);
+
+        DRIVERS.set(name, { Driver, module: module ? String(module) : null });
+        debug(`Registered driver "${name}"${module ? ` (${module})` : ''}`);
+    }
+
+    static hasDriver(name) { return DRIVERS.has(name); }
+    static getDriver(name) { return DRIVERS.get(name)?.Driver || null; }
+    static listDrivers() { return [...DRIVERS.keys()]; }
+    static driverModule(name) { return DRIVERS.get(name)?.module || null; }
+
     get(name) { return this.#backends.get(name); }
     has(name) { return this.#backends.has(name); }
     list() { return [...this.#backends.keys()]; }
@@ -15,7 +35,7 @@ export default class BackendManager {
 
     add(name, config) {
         if (this.#backends.has(name)) throw new Error(`Backend "${name}" already exists`);
-        const Driver = DRIVERS[config.driver];
+        const Driver = DRIVERS.get(config.driver)?.Driver;
         if (!Driver) throw new Error(`Unknown driver: ${config.driver}`);
 
         const backend = new Driver(name, config);
@@ -39,3 +59,6 @@ export default class BackendManager {
         }
     }
 }
+
+BackendManager.registerDriver('file', FileBackend);
+BackendManager.registerDriver('s3', S3Backend);
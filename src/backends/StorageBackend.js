@@ -4,6 +4,16 @@ import { EventEmitter } from 'events';
  * Base class for storage backends.
  * All backends must implement: put, get, delete, stat, list
  * Optional: watch, scan, stop
+ *
+ * scan({ algorithms, known, after, signal }) is an async generator yielding one
+ * entry per object, in a stable order, with a `fingerprint` (cheap change markers
+ * such as size and mtime). When `known(key)` returns a matching fingerprint the
+ * entry is marked `unchanged` and is not hashed. `after` resumes behind a key
+ * yielded earlier; scans report scan:start, scan:progress and scan:complete.
+ *
+ * Drivers used as remote backends are instantiated inside the sync worker too,
+ * so they should set `static module = import.meta.url` (or be registered with
+ * an explicit module specifier) for the worker to import them.
  */
 export default class StorageBackend extends EventEmitter {
     constructor(name, config = {}) {
@@ -11,10 +21,13 @@ export default class StorageBackend extends EventEmitter {
         this.name = name;
         this.type = 'base';
         this.config = config;
+        // Whether get() honours { range: { start, end } }; Stored slices the full stream otherwise
+        this.rangeReads = false;
     }
 
     // Required methods - must be implemented by subclasses
-    async put(key, data) { throw new Error('Not implemented'); }
+    // put() receives a Buffer or a Readable; options: { size, checksums, mimeType }
+    async put(key, data, options = {}) { throw new Error('Not implemented'); }
     async get(key, options = {}) { throw new Error('Not implemented'); }
     async delete(key) { throw new Error('Not implemented'); }
     async stat(key) { throw new Error('Not implemented'); }
@@ -22,6 +35,18 @@ export default class StorageBackend extends EventEmitter {
 
     // Optional methods
     async watch() { return false; }
-    async scan() { return []; }
+    async *scan() { }
     async stop() { }
+
+    // Whether the driver implements scan(); Stored never treats the others as empty
+    get scannable() { return this.scan !== StorageBackend.prototype.scan; }
+
+    // Copy + delete; drivers with a native rename or server-side copy should override it
+    async move(from, to) {
+        const stat = await this.stat(from);
+        if (!stat) throw new Error(`Not found: ${from}`);
+        await this.put(to, await this.get(from, { stream: true }), { size: stat.size, mimeType: stat.mimeType });
+        await this.delete(from);
+        return { key: to, size: stat.size };
+    }
 }
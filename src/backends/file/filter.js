@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { parseSize } from '../../utils/common.js';
+
+const IGNORE_FILES = ['.gitignore', '.storedignore'];
+
+/**
+ * Decides which keys of a file backend are visible to list(), scan() and the
+ * watcher. Rules, in order of precedence (last match wins, like git):
+ *
+ *   ignore files   .gitignore / .storedignore in any directory, relative to it
+ *   exclude        gitignore-style patterns relative to the root (negation allowed)
+ *   include        when set, files must match one of these patterns
+ *   hidden         false skips every path with a segment starting with "."
+ *   maxFileSize    files above this size are skipped ("512MB", bytes)
+ *   ignored        legacy chokidar-style functions or RegExps tested on absolute paths
+ *
+ * A directory that is ignored hides everything below it. Ignore files are read
+ * on first use and cached per directory; call invalidate() when one changes,
+ * or reset() to re-read all of them (every walk starts with one).
+ */
+export default class PathFilter {
+    #root;
+    #ignoreFiles;
+    #exclude;
+    #include;
+    #hidden;
+    #maxFileSize;
+    #ignored;
+    // directory key → rules parsed from its ignore files
+    #rules = new Map();
+
+    constructor(root, config = {}) {
+        this.#root = root;
+        this.#ignoreFiles = config.ignoreFiles === false ? [] : (config.ignoreFiles || IGNORE_FILES);
+        this.#hidden = config.hidden ?? true;
+        this.#maxFileSize = parseSize(config.maxFileSize);
+
+        const legacy = [config.ignored || []].flat();
+        this.#ignored = legacy.filter(rule => typeof rule === 'function' || rule instanceof RegExp);
+        this.#exclude = [...legacy.filter(rule => typeof rule === 'string'), ...(config.exclude || [])].map(compilePattern).filter(Boolean);
+        this.#include = (config.include || []).map(compilePattern).filter(Boolean);
+    }
+
+    /**
+     * Whether a key (relative to the root) is filtered out. `size` enables the
+     * size limit for files; `shallow` skips the parent directories, for walks
+     * that already pruned them.
+     */
+    ignores(key, { directory = false, size, shallow = false } = {}) {
+        const parts = key.split(path.sep).filter(Boolean);
+        if (!parts.length) return false;
+
+        const absolute = path.join(this.#root, key);
+        if (this.#ignored.some(rule => (typeof rule === 'function' ? rule(absolute) : rule.test(absolute)))) return true;
+        if (!this.#hidden && parts.some(part => part.startsWith('.'))) return true;
+
+        for (let depth = shallow ? parts.length : 1; depth <= parts.length; depth++) {
+            const isDir = depth < parts.length || directory;
+            if (this.#excluded(parts.slice(0, depth), isDir)) return true;
+        }
+
+        if (directory) return false;
+        if (this.#maxFileSize !== null && size > this.#maxFileSize) return true;
+        return this.#include.length > 0 && !this.#include.some(rule => rule.regex.test(parts.join('/')));
+    }
+
+    isIgnoreFile(key) { return this.#ignoreFiles.includes(path.basename(key)); }
+
+    /**
+     * Forget the cached rules of the directory holding an ignore file
+     */
+    invalidate(key) {
+        const dir = path.dirname(key);
+        this.#rules.delete(dir === '.' ? '' : dir);
+    }
+
+    /**
+     * Forget every cached ignore file
+     */
+    reset() {
+        this.#rules.clear();
+    }
+
+    #excluded(parts, isDir) {
+        let ignored = false;
+        const apply = (rules, rel) => {
+            for (const rule of rules) {
+                if (rule.dirOnly && !isDir) continue;
+                if (rule.regex.test(rel)) ignored = !rule.negate;
+            }
+        };
+
+        // Ignore files from the root down to the entry's own directory, then the config list
+        for (let depth = 0; depth < parts.length; depth++) {
+            apply(this.#rulesFor(parts.slice(0, depth).join(path.sep)), parts.slice(depth).join('/'));
+        }
+        apply(this.#exclude, parts.join('/'));
+        return ignored;
+    }
+
+    #rulesFor(dir) {
+        if (!this.#ignoreFiles.length) return [];
+        let rules = this.#rules.get(dir);
+        if (!rules) {
+            rules = this.#ignoreFiles.flatMap(name => {
+                let text;
+                try { text = fs.readFileSync(path.join(this.#root, dir, name), 'utf8'); }
+                catch { return []; }
+                return text.split(/\r?\n/).map(compilePattern).filter(Boolean);
+            });
+            this.#rules.set(dir, rules);
+        }
+        return rules;
+    }
+}
+
+/**
+ * Compile one gitignore line into { regex, negate, dirOnly } matched against
+ * "/"-separated paths relative to the ignore file's directory; null for blank
+ * lines and comments
+ */
+export function compilePattern(line) {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.slice(0, -1);
+
+    // Patterns with an inner slash are anchored to the directory, others match at any depth
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+    if (!pattern) return null;
+
+    let body = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            const atStart = i === 0 || pattern[i - 1] === '/';
+            if (atStart && pattern[i + 2] === '/') {
+                body += '(?:.*/)?';
+                i += 2;
+            } else if (atStart && i + 2 === pattern.length) {
+                body += '.*';
+                i += 1;
+            } else {
+                body += '[^/]*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            body += '[^/]*';
+        } else if (char === '?') {
+            body += '[^/]';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 2);
+            if (end === -1) {
+                body += '\\[';
+                continue;
+            }
+            const set = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+            body += `[${set}]`;
+            i = end;
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            body += escapeRegExp(pattern[++i]);
+        } else {
+            body += escapeRegExp(char);
+        }
+    }
+
+    const regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`);
+    return { regex, negate, dirOnly };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
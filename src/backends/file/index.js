@@ -1,29 +1,66 @@
+import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import chokidar from 'chokidar';
 import Debug from 'debug';
 import StorageBackend from '../StorageBackend.js';
-import { checksumFile } from '../../utils/checksum.js';
+import PathFilter from './filter.js';
+import { checksumBuffer, checksumFile } from '../../utils/checksum.js';
+import { isStream, sameFingerprint } from '../../utils/common.js';
+import { streamToBuffer } from '../../utils/range.js';
 import { detectMimeType } from '../../utils/mime.js';
+import { mapOrdered, scanProgress } from '../../utils/scan.js';
 
 const debug = Debug('stored:backend:file');
 
+// In-progress writes land next to their target as ".<name>.<rand>.stored-tmp"
+const TEMP_SUFFIX = '.stored-tmp';
+const isTempFile = p => p.endsWith(TEMP_SUFFIX);
+
+// How long a write or delete made through the backend is expected to echo back from the watcher
+const ECHO_WINDOW = 10_000;
+
+// Files hashed in parallel during scan()
+const SCAN_CONCURRENCY = 4;
+
+const byName = (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+// follow: treat links as their targets; skip: ignore them; link: index the link itself (its target path is the content, like git)
+const SYMLINK_POLICIES = ['follow', 'skip', 'link'];
+const SYMLINK_MIME = 'inode/symlink';
+
 export default class FileBackend extends StorageBackend {
+    static module = import.meta.url;
+
     #root;
+    #realRoot;
+    #symlinks;
     #watcher = null;
     #watchEnabled;
-    #ignored;
+    #filter;
     #defaultAlgorithms = ['sha256'];
+    // key → { op, size, mtimeMs, checksums, mimeType, expires } for our own writes and deletes
+    #own = new Map();
+    #echoWindow;
+    #scanConcurrency;
 
     constructor(name, config = {}) {
         super(name, config);
         if (!config.root) throw new Error('FileBackend requires root path');
         this.#root = path.resolve(config.root);
         this.#watchEnabled = config.watch ?? false;
-        this.#ignored = config.ignored || null;
+        this.#filter = new PathFilter(this.#root, config);
         this.#defaultAlgorithms = config.algorithms || ['sha256'];
+        this.#echoWindow = config.echoWindow ?? ECHO_WINDOW;
+        this.#scanConcurrency = config.scanConcurrency || SCAN_CONCURRENCY;
+        this.#symlinks = config.symlinks || 'skip';
+        if (!SYMLINK_POLICIES.includes(this.#symlinks)) throw new Error(`Invalid symlink policy: ${this.#symlinks}`);
         this.type = 'local';
+        this.rangeReads = true;
         fs.ensureDirSync(this.#root);
+        this.#realRoot = fs.realpathSync(this.#root);
         debug(`FileBackend "${name}" initialized at ${this.#root}`);
     }
 
@@ -34,55 +71,174 @@ export default class FileBackend extends StorageBackend {
     // CRUD Operations
     // ─────────────────────────────────────────────────────────────────────────
 
-    #resolvePath(key) { return path.join(this.#root, key); }
+    /**
+     * Map a key to a path under the root. Keys are relative paths: absolute
+     * paths, drive letters, ".." segments and NUL bytes are rejected.
+     */
+    #resolvePath(key) {
+        if (typeof key !== 'string' || key.includes('\0')) throw new Error(`Invalid key: ${key}`);
+        if (path.isAbsolute(key) || /^[a-zA-Z]:|^[\\/]/.test(key) || key.split(/[\\/]/).includes('..')) {
+            throw new Error(`Invalid key: ${key}`);
+        }
+        const filePath = path.join(this.#root, key);
+        if (!isInside(this.#root, filePath)) throw new Error(`Invalid key: ${key}`);
+        return filePath;
+    }
 
-    async put(key, data) {
+    /**
+     * Resolve a key for CRUD access. Unless symlinks are followed, a symlinked
+     * directory on the way must not lead out of the root; the key's own link is
+     * handled by the caller.
+     */
+    async #safePath(key) {
         const filePath = this.#resolvePath(key);
+        if (this.#symlinks === 'follow' || filePath === this.#root) return filePath;
+
+        let dir = path.dirname(filePath);
+        let real = null;
+        while (!real) {
+            real = await fs.realpath(dir).catch(() => null);
+            if (!real && dir === this.#root) real = this.#realRoot;
+            dir = path.dirname(dir);
+        }
+        if (!isInside(this.#realRoot, real)) throw new Error(`Invalid key: ${key} resolves outside the backend root`);
+        return filePath;
+    }
+
+    #tempPath(filePath) {
+        const suffix = crypto.randomBytes(6).toString('hex');
+        return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${suffix}${TEMP_SUFFIX}`);
+    }
+
+    /**
+     * Write a Buffer or Readable to a temp file, then rename it into place so
+     * partially written files are never visible under their final name.
+     */
+    async put(key, data, options = {}) {
+        const filePath = await this.#safePath(key);
+        const tempPath = this.#tempPath(filePath);
         await fs.ensureDir(path.dirname(filePath));
-        await fs.writeFile(filePath, data);
+        try {
+            if (isStream(data)) await pipeline(data, fs.createWriteStream(tempPath));
+            else await fs.writeFile(tempPath, data);
+            await fs.rename(tempPath, filePath);
+        } catch (err) {
+            await fs.remove(tempPath).catch(() => {});
+            throw err;
+        }
         const stats = await fs.stat(filePath);
+        this.#remember(key, 'write', { size: stats.size, mtimeMs: stats.mtimeMs, checksums: options.checksums, mimeType: options.mimeType });
         debug(`PUT ${key} (${stats.size} bytes)`);
         return { key, size: stats.size };
     }
 
     async get(key, options = {}) {
-        const filePath = this.#resolvePath(key);
-        if (!await fs.pathExists(filePath)) return null;
+        const filePath = await this.#safePath(key);
+        const lstats = await fs.lstat(filePath).catch(() => null);
+        if (!lstats) return null;
+        if (lstats.isSymbolicLink() && this.#symlinks !== 'follow') {
+            if (this.#symlinks === 'skip') return null;
+            const target = Buffer.from(await fs.readlink(filePath));
+            const { start = 0, end } = options.range || {};
+            const data = target.subarray(start, end === undefined ? undefined : end + 1);
+            return options.stream ? Readable.from([data]) : data;
+        }
+        if (options.range) {
+            const stream = fs.createReadStream(filePath, options.range);
+            return options.stream ? stream : streamToBuffer(stream);
+        }
         return options.stream ? fs.createReadStream(filePath) : fs.readFile(filePath);
     }
 
     async delete(key) {
-        const filePath = this.#resolvePath(key);
-        if (!await fs.pathExists(filePath)) return false;
+        const filePath = await this.#safePath(key);
+        if (!await fs.lstat(filePath).catch(() => null)) return false;
         await fs.remove(filePath);
+        this.#remember(key, 'delete');
         debug(`DELETE ${key}`);
         return true;
     }
 
+    async move(from, to) {
+        const fromPath = await this.#safePath(from);
+        const toPath = await this.#safePath(to);
+        if (!await fs.lstat(fromPath).catch(() => null)) throw new Error(`Not found: ${from}`);
+        await fs.move(fromPath, toPath, { overwrite: true });
+        const stats = await fs.lstat(toPath);
+        this.#remember(from, 'delete');
+        this.#remember(to, 'write', { size: stats.size, mtimeMs: stats.mtimeMs });
+        debug(`MOVE ${from} → ${to}`);
+        return { key: to, size: stats.size };
+    }
+
     async stat(key) {
-        const filePath = this.#resolvePath(key);
-        if (!await fs.pathExists(filePath)) return null;
-        const stats = await fs.stat(filePath);
-        if (!stats.isFile()) return null;
-        return { key, size: stats.size, modified: stats.mtimeMs, created: stats.birthtimeMs };
+        const filePath = await this.#safePath(key);
+        let stats = await fs.lstat(filePath).catch(() => null);
+        if (stats?.isSymbolicLink()) {
+            if (this.#symlinks === 'skip') return null;
+            if (this.#symlinks === 'link') {
+                const target = await fs.readlink(filePath);
+                return { key, size: Buffer.byteLength(target), modified: stats.mtimeMs, created: stats.birthtimeMs, ino: stats.ino, symlink: target };
+            }
+            stats = await fs.stat(filePath).catch(() => null);
+        }
+        if (!stats?.isFile()) return null;
+        return { key, size: stats.size, modified: stats.mtimeMs, created: stats.birthtimeMs, ino: stats.ino };
     }
 
+    /**
+     * Walk files depth-first in name order. `after` (a key under `prefix`)
+     * resumes the walk right behind that key without reading what precedes it.
+     */
     async *list(options = {}) {
-        const { prefix = '', recursive = true } = options;
-        const searchPath = this.#resolvePath(prefix);
-        if (!await fs.pathExists(searchPath)) return;
+        const { prefix = '', recursive = true, after } = options;
+        // Ignore files may have changed without the watcher seeing it
+        this.#filter.reset();
+        if (prefix && this.#filter.ignores(prefix, { directory: true })) return;
+        if (prefix && this.#symlinks !== 'follow' && (await fs.lstat(await this.#safePath(prefix)).catch(() => null))?.isSymbolicLink()) return;
+        const marks = after ? path.relative(prefix, after).split(path.sep) : [];
+        yield* this.#walk(prefix, recursive, marks[0] === '..' ? [] : marks);
+    }
+
+    // `ancestors` holds device:inode of the directories above, so symlink loops are cut
+    async *#walk(dir, recursive, marks, ancestors = new Set()) {
+        const searchPath = this.#resolvePath(dir);
+        const dirStats = await fs.stat(searchPath).catch(() => null);
+        if (!dirStats?.isDirectory()) return;
+
+        const identity = `${dirStats.dev}:${dirStats.ino}`;
+        if (ancestors.has(identity)) {
+            debug(`Symlink cycle at ${dir}, not descending`);
+            return;
+        }
+        const chain = new Set(ancestors).add(identity);
 
-        const entries = await fs.readdir(searchPath, { withFileTypes: true });
+        const [mark, ...deeper] = marks;
+        const entries = (await fs.readdir(searchPath, { withFileTypes: true })).sort(byName);
         for (const entry of entries) {
-            const relativePath = path.join(prefix, entry.name);
-            if (entry.isFile()) {
-                yield { key: relativePath, ...(await this.stat(relativePath)) };
-            } else if (entry.isDirectory() && recursive) {
-                yield* this.list({ ...options, prefix: relativePath });
+            if (mark !== undefined && entry.name < mark) continue;
+            const resume = entry.name === mark;
+            const relativePath = path.join(dir, entry.name);
+            const kind = entry.isSymbolicLink() ? await this.#linkKind(relativePath) : entry.isFile() ? 'file' : entry.isDirectory() ? 'directory' : null;
+            if (kind === 'file' && !isTempFile(entry.name)) {
+                if (resume) continue;
+                const stat = await this.stat(relativePath);
+                if (stat && !this.#filter.ignores(relativePath, { size: stat.size, shallow: true })) yield { key: relativePath, ...stat };
+            } else if (kind === 'directory' && recursive) {
+                if (this.#filter.ignores(relativePath, { directory: true, shallow: true })) continue;
+                yield* this.#walk(relativePath, recursive, resume ? deeper : [], chain);
             }
         }
     }
 
+    // How a walk treats a symlink: as a file, a directory to descend into, or not at all
+    async #linkKind(key) {
+        if (this.#symlinks === 'skip') return null;
+        if (this.#symlinks === 'link') return 'file';
+        const target = await fs.stat(this.#resolvePath(key)).catch(() => null); // dangling links are skipped
+        return target?.isDirectory() ? 'directory' : target?.isFile() ? 'file' : null;
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Watch & Scan
     // ─────────────────────────────────────────────────────────────────────────
@@ -94,34 +250,55 @@ export default class FileBackend extends StorageBackend {
             persistent: true,
             ignoreInitial: true,
             awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 50 },
+            followSymlinks: this.#symlinks === 'follow',
         };
-        if (this.#ignored) watchOpts.ignored = this.#ignored;
+        const toKey = p => path.relative(this.#root, p);
+
+        // The same filter as list() and scan(); sizes are checked when a file is described
+        watchOpts.ignored = [isTempFile, (p, stats) => this.#filter.ignores(toKey(p), {
+            directory: stats ? stats.isDirectory() : isDirectory(p),
+        })];
 
         this.#watcher = chokidar.watch(this.#root, watchOpts);
 
-        const toKey = p => path.relative(this.#root, p);
+        // Files we wrote ourselves are tagged origin "api" and not re-hashed; null for files over maxFileSize
+        const describeFile = async (p) => {
+            const key = toKey(p);
+            let stats = await fs.lstat(p).catch(() => null);
+            let link = null;
+            if (stats?.isSymbolicLink()) {
+                if (this.#symlinks === 'skip') return null;
+                if (this.#symlinks === 'follow') stats = await fs.stat(p).catch(() => null);
+                else link = Buffer.from(await fs.readlink(p));
+            }
+            const size = link ? link.length : stats?.size;
+            if (this.#filter.ignores(key, { size, shallow: true })) return null;
 
-        this.#watcher
-            .on('add', async p => {
-                const key = toKey(p);
-                const [checksums, mimeType, stats] = await Promise.all([
-                    checksumFile(p, this.#defaultAlgorithms).catch(() => null),
-                    detectMimeType(p).catch(() => null),
-                    fs.stat(p).catch(() => null),
-                ]);
-                this.emit('file:add', { backend: this.name, key, path: p, checksums, mimeType, size: stats?.size });
-            })
-            .on('change', async p => {
-                const key = toKey(p);
-                const [checksums, mimeType, stats] = await Promise.all([
+            const own = link ? null : this.#recall(key, 'write', stats);
+            const known = own && this.#defaultAlgorithms.every(algo => own.checksums?.[algo]);
+            const [checksums, mimeType] = known
+                ? [own.checksums, own.mimeType || null]
+                : link ? [checksumBuffer(link, this.#defaultAlgorithms), SYMLINK_MIME] : await Promise.all([
                     checksumFile(p, this.#defaultAlgorithms).catch(() => null),
                     detectMimeType(p).catch(() => null),
-                    fs.stat(p).catch(() => null),
                 ]);
-                this.emit('file:change', { backend: this.name, key, path: p, checksums, mimeType, size: stats?.size });
-            })
+            return { backend: this.name, key, path: p, checksums, mimeType, size, origin: own ? 'api' : 'watcher' };
+        };
+
+        const emitFile = async (event, p) => {
+            if (this.#filter.isIgnoreFile(toKey(p))) this.#filter.invalidate(toKey(p));
+            const file = await describeFile(p);
+            if (file) this.emit(event, file);
+        };
+
+        this.#watcher
+            .on('add', p => emitFile('file:add', p))
+            .on('change', p => emitFile('file:change', p))
             .on('unlink', p => {
-                this.emit('file:unlink', { backend: this.name, key: toKey(p), path: p });
+                const key = toKey(p);
+                if (this.#filter.isIgnoreFile(key)) this.#filter.invalidate(key);
+                const origin = this.#recall(key, 'delete') ? 'api' : 'watcher';
+                this.emit('file:unlink', { backend: this.name, key, path: p, origin });
             })
             .on('error', err => this.emit('error', err));
 
@@ -129,24 +306,63 @@ export default class FileBackend extends StorageBackend {
         return true;
     }
 
-    async scan(options = {}) {
+    #remember(key, op, info = {}) {
+        const now = Date.now();
+        if (this.#own.size > 1000) {
+            for (const [k, entry] of this.#own) if (entry.expires < now) this.#own.delete(k);
+        }
+        this.#own.set(key, { op, ...info, expires: now + this.#echoWindow });
+    }
+
+    // A write only matches while the file is still exactly what we wrote
+    #recall(key, op, stats) {
+        const own = this.#own.get(key);
+        if (!own || own.op !== op || own.expires < Date.now()) return null;
+        if (op === 'write' && (stats?.size !== own.size || stats?.mtimeMs !== own.mtimeMs)) return null;
+        this.#own.delete(key);
+        return own;
+    }
+
+    /**
+     * Stream every file under the root in walk order, hashing up to
+     * `concurrency` files at a time. Files whose size, mtime and inode still
+     * match the fingerprint `options.known(key)` returns are not hashed.
+     * Options: { algorithms, known, after, concurrency, signal, progressInterval }
+     */
+    async *scan(options = {}) {
         const algorithms = options.algorithms || this.#defaultAlgorithms;
-        const results = [];
-        debug(`Scanning ${this.#root}...`);
-        this.emit('scan:start', { backend: this.name });
+        const known = options.known || (() => null);
+        const progress = scanProgress(this, options.progressInterval);
+        debug(`Scanning ${this.#root}${options.after ? ` after ${options.after}` : ''}...`);
+        this.emit('scan:start', { backend: this.name, after: options.after || null });
+
+        const describe = async (entry) => {
+            const fingerprint = { size: entry.size, mtime: entry.modified, ino: entry.ino };
+            if (sameFingerprint(known(entry.key), fingerprint)) {
+                return { ...entry, fingerprint, checksums: null, unchanged: true, backend: this.name };
+            }
+
+            if (entry.symlink !== undefined) {
+                const checksums = checksumBuffer(Buffer.from(entry.symlink), algorithms);
+                return { ...entry, fingerprint, checksums, mimeType: SYMLINK_MIME, backend: this.name };
+            }
 
-        for await (const entry of this.list(options)) {
             const filePath = this.#resolvePath(entry.key);
             const [checksums, mimeType] = await Promise.all([
                 checksumFile(filePath, algorithms).catch(() => null),
                 detectMimeType(filePath).catch(() => null),
             ]);
-            results.push({ ...entry, checksums, mimeType, backend: this.name });
+            return { ...entry, fingerprint, checksums, mimeType, backend: this.name };
+        };
+
+        const concurrency = options.concurrency || this.#scanConcurrency;
+        for await (const file of mapOrdered(this.list(options), concurrency, describe, options.signal)) {
+            progress.add(file);
+            yield file;
         }
 
-        this.emit('scan:complete', { backend: this.name, count: results.length });
-        debug(`Scan complete: ${results.length} files`);
-        return results;
+        progress.done();
+        debug(`Scan complete: ${progress.totals.files} files (${progress.totals.hashed} hashed)`);
     }
 
     async stop() {
@@ -157,3 +373,13 @@ export default class FileBackend extends StorageBackend {
         }
     }
 }
+
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+function isDirectory(p) {
+    try { return fs.statSync(p).isDirectory(); }
+    catch { return false; }
+}
@@ -0,0 +1,241 @@
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    CopyObjectCommand,
+    ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { Readable } from 'stream';
+import Debug from 'debug';
+import StorageBackend from '../StorageBackend.js';
+import { isStream, sameFingerprint } from '../../utils/common.js';
+import { mapOrdered, scanProgress } from '../../utils/scan.js';
+
+const debug = Debug('stored:backend:s3');
+
+// HEAD requests in flight during scan()
+const SCAN_CONCURRENCY = 8;
+
+/**
+ * S3-compatible object storage backend (AWS S3, MinIO, R2, ...).
+ *
+ * Writes go through the sync queue (type "remote"). Checksums computed at
+ * ingestion are stored as object metadata (x-amz-meta-<algo>) so scan() can
+ * index a bucket with HEAD requests only — objects are never downloaded to
+ * be hashed. For objects written by other tools the ETag is reported as-is.
+ */
+export default class S3Backend extends StorageBackend {
+    static module = import.meta.url;
+
+    #client;
+    #bucket;
+    #prefix;
+
+    constructor(name, config = {}) {
+        super(name, config);
+        if (!config.bucket) throw new Error('S3Backend requires bucket');
+        this.#bucket = config.bucket;
+        this.#prefix = config.prefix ? config.prefix.replace(/^\/+|\/+$/g, '') + '/' : '';
+        this.type = 'remote';
+        this.rangeReads = true;
+        this.#client = new S3Client({
+            region: config.region || 'us-east-1',
+            endpoint: config.endpoint,
+            forcePathStyle: config.forcePathStyle ?? !!config.endpoint,
+            credentials: config.credentials,
+            // Most S3-compatible servers don't support the newer flexible checksum headers
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED',
+        });
+        debug(`S3Backend "${name}" initialized for bucket ${this.#bucket}${this.#prefix ? `/${this.#prefix}` : ''}`);
+    }
+
+    get bucket() { return this.#bucket; }
+    get prefix() { return this.#prefix; }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // CRUD Operations
+    // ─────────────────────────────────────────────────────────────────────────
+
+    #objectKey(key) { return this.#prefix + key.replace(/^\/+/, ''); }
+    #toKey(objectKey) { return objectKey.slice(this.#prefix.length); }
+
+    async put(key, data, options = {}) {
+        const { checksums = {}, mimeType } = options;
+        let body = typeof data === 'string' ? Buffer.from(data) : data;
+        let size = Buffer.isBuffer(body) ? body.length : options.size;
+
+        // A single PUT needs Content-Length; streams of unknown size are buffered
+        if (isStream(body) && size === undefined) {
+            const chunks = [];
+            for await (const chunk of body) chunks.push(chunk);
+            body = Buffer.concat(chunks);
+            size = body.length;
+        } else if (isStream(body) && !(body instanceof Readable)) {
+            // The SDK only accepts core streams (cacache hands out minipass streams)
+            body = Readable.from(body);
+        }
+
+        const result = await this.#client.send(new PutObjectCommand({
+            Bucket: this.#bucket,
+            Key: this.#objectKey(key),
+            Body: body,
+            ContentLength: size,
+            ContentType: mimeType,
+            Metadata: { ...checksums },
+        }));
+
+        debug(`PUT ${key} (${size} bytes)`);
+        return { key, size, etag: stripQuotes(result.ETag) };
+    }
+
+    async get(key, options = {}) {
+        try {
+            const { range } = options;
+            const { Body } = await this.#client.send(new GetObjectCommand({
+                Bucket: this.#bucket,
+                Key: this.#objectKey(key),
+                Range: range ? `bytes=${range.start}-${range.end ?? ''}` : undefined,
+            }));
+            return options.stream ? Body : Buffer.from(await Body.transformToByteArray());
+        } catch (err) {
+            if (isNotFound(err)) return null;
+            throw err;
+        }
+    }
+
+    async delete(key) {
+        // DeleteObject succeeds for missing keys, so check first to report accurately
+        if (!await this.stat(key)) return false;
+        await this.#client.send(new DeleteObjectCommand({ Bucket: this.#bucket, Key: this.#objectKey(key) }));
+        debug(`DELETE ${key}`);
+        return true;
+    }
+
+    /**
+     * Server-side copy (metadata included), then delete the source
+     */
+    async move(from, to) {
+        const source = this.#objectKey(from);
+        await this.#client.send(new CopyObjectCommand({
+            Bucket: this.#bucket,
+            Key: this.#objectKey(to),
+            CopySource: `${this.#bucket}/${source.split('/').map(encodeURIComponent).join('/')}`,
+        }));
+        await this.#client.send(new DeleteObjectCommand({ Bucket: this.#bucket, Key: source }));
+        debug(`MOVE ${from} → ${to}`);
+        return { key: to };
+    }
+
+    async stat(key) {
+        try {
+            const head = await this.#client.send(new HeadObjectCommand({
+                Bucket: this.#bucket,
+                Key: this.#objectKey(key),
+            }));
+            return {
+                key,
+                size: head.ContentLength,
+                modified: head.LastModified?.getTime(),
+                etag: stripQuotes(head.ETag),
+                mimeType: head.ContentType || null,
+                metadata: head.Metadata || {},
+            };
+        } catch (err) {
+            if (isNotFound(err)) return null;
+            throw err;
+        }
+    }
+
+    async *list(options = {}) {
+        const { prefix = '', limit = Infinity, after } = options;
+        let token;
+        let count = 0;
+
+        do {
+            const page = await this.#client.send(new ListObjectsV2Command({
+                Bucket: this.#bucket,
+                Prefix: this.#objectKey(prefix),
+                ContinuationToken: token,
+                StartAfter: after && !token ? this.#objectKey(after) : undefined,
+            }));
+
+            for (const obj of page.Contents || []) {
+                if (count++ >= limit) return;
+                yield {
+                    key: this.#toKey(obj.Key),
+                    size: obj.Size,
+                    modified: obj.LastModified?.getTime(),
+                    etag: stripQuotes(obj.ETag),
+                };
+            }
+
+            token = page.IsTruncated ? page.NextContinuationToken : null;
+        } while (token);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Scan
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Stream every object in key order, with up to `concurrency` HEAD requests
+     * in flight. Options: { algorithms, known, after, concurrency, signal, progressInterval }
+     */
+    async *scan(options = {}) {
+        const algorithms = options.algorithms || ['sha256'];
+        const known = options.known || (() => null);
+        const progress = scanProgress(this, options.progressInterval);
+        debug(`Scanning s3://${this.#bucket}/${this.#prefix}${options.after ? ` after ${options.after}` : ''}...`);
+        this.emit('scan:start', { backend: this.name, after: options.after || null });
+
+        const describe = async (entry) => {
+            // The listing already carries size, mtime and ETag; unchanged objects need no HEAD
+            const fingerprint = { size: entry.size, mtime: entry.modified, etag: entry.etag };
+            if (sameFingerprint(known(entry.key), fingerprint)) {
+                return { ...entry, fingerprint, checksums: null, unchanged: true, backend: this.name };
+            }
+
+            const head = await this.stat(entry.key).catch(() => null);
+            const stored = head?.metadata || {};
+            // Without a HEAD there is nothing to remember the object by
+            if (!head) return { ...entry, fingerprint: null, checksums: null, mimeType: null, backend: this.name };
+
+            // Only trust checksums we wrote ourselves; never download to hash
+            const checksums = algorithms.every(algo => stored[algo])
+                ? Object.fromEntries(algorithms.map(algo => [algo, stored[algo]]))
+                : null;
+
+            return {
+                ...entry,
+                fingerprint,
+                checksums,
+                mimeType: head?.mimeType || null,
+                backend: this.name,
+            };
+        };
+
+        const concurrency = options.concurrency || this.config.scanConcurrency || SCAN_CONCURRENCY;
+        for await (const object of mapOrdered(this.list(options), concurrency, describe, options.signal)) {
+            progress.add(object);
+            yield object;
+        }
+
+        progress.done();
+        debug(`Scan complete: ${progress.totals.files} objects (${progress.totals.hashed} checked)`);
+    }
+
+    async stop() {
+        this.#client.destroy();
+    }
+}
+
+function stripQuotes(etag) {
+    return etag ? etag.replace(/"/g, '') : null;
+}
+
+function isNotFound(err) {
+    return err?.name === 'NoSuchKey' || err?.name === 'NotFound' || err?.$metadata?.httpStatusCode === 404;
+}
@@ -1,42 +1,160 @@
 import cacache from 'cacache';
+import crypto from 'crypto';
+import fs from 'fs';
 import Debug from 'debug';
+import { parseSize } from '../utils/common.js';
 
 const debug = Debug('stored:cache');
 
+const EVICTION_POLICIES = ['lru', 'oldest', 'oversized'];
+
+// Staging keys for streamed ingestion, renamed to the content id once it is known
+const TEMP_PREFIX = 'tmp:';
+// Staging entries are renamed right after they are written; older ones were left by a crash
+const TEMP_MAX_AGE = 60 * 60 * 1000;
+
+const EMPTY_COUNTERS = { hits: 0, misses: 0, fills: 0, bytesHit: 0, bytesMissed: 0, bytesFilled: 0 };
+
 export default class Cache {
     #root;
     #algorithms;
+    #maxSize;
+    #maxEntrySize;
+    #policy;
+    #isEvictable;
+    #tempMaxAge;
+    #db;
+    #accessed = new Map();
+    // staging key → integrity of content written under it, until renamed or removed
+    #staging = new Map();
+    #counters;
+    #size = null;
 
     constructor(config) {
         if (!config?.path) throw new Error('Cache path required');
         this.#root = config.path;
         this.#algorithms = config.algorithms || ['sha256'];
+        this.#maxSize = parseSize(config.maxSize);
+        this.#maxEntrySize = parseSize(config.maxEntrySize);
+        this.#policy = config.evictionPolicy || 'lru';
+        this.#isEvictable = config.isEvictable || (() => true);
+        this.#tempMaxAge = config.tempMaxAge ?? TEMP_MAX_AGE;
+        // Optional LMDB database to persist access times and counters across restarts
+        this.#db = config.db || null;
+        this.#counters = { ...EMPTY_COUNTERS, ...this.#db?.get('stats') };
+        if (!EVICTION_POLICIES.includes(this.#policy)) throw new Error(`Unknown eviction policy: ${this.#policy}`);
         debug(`Cache initialized at "${this.#root}"`);
     }
 
     get root() { return this.#root; }
+    get maxSize() { return this.#maxSize; }
 
     list() { return cacache.ls(this.#root); }
 
     has(key) { return cacache.get.info(this.#root, key); }
 
-    put(key, data, metadata = {}) {
-        return cacache.put(this.#root, key, data, { algorithms: this.#algorithms, metadata });
+    async put(key, data, metadata = {}) {
+        const integrity = await cacache.put(this.#root, key, data, { algorithms: this.#algorithms, metadata });
+        this.#touch(key);
+        await this.#afterWrite(key, data.length);
+        return integrity;
     }
 
     putStream(key, metadata = {}) {
-        return cacache.put.stream(this.#root, key, { algorithms: this.#algorithms, metadata });
+        const stream = cacache.put.stream(this.#root, key, { algorithms: this.#algorithms, metadata });
+        // "size" is emitted once the entry has been indexed
+        if (this.isTempKey(key)) stream.on('integrity', integrity => this.#staging.set(key, String(integrity)));
+        stream.on('size', size => {
+            this.#touch(key);
+            this.#afterWrite(key, size).catch(err => debug(`Eviction failed: ${err.message}`));
+        });
+        return stream;
+    }
+
+    /** A unique staging key for putStream() when the final key isn't known yet */
+    tempKey() { return `${TEMP_PREFIX}${crypto.randomUUID()}`; }
+    isTempKey(key) { return key.startsWith(TEMP_PREFIX); }
+
+    /** A staging entry older than `maxAge` ms, left behind by an ingestion that never finished */
+    isStaleTemp(entry, maxAge = this.#tempMaxAge) {
+        return this.isTempKey(entry.key) && Date.now() - entry.time > maxAge;
     }
 
-    get(key) { return cacache.get(this.#root, key); }
+    /**
+     * Point `to` at the content stored under `from` and drop `from` — no data is copied.
+     */
+    async rename(from, to, metadata = {}) {
+        const info = await cacache.get.info(this.#root, from);
+        if (!info) throw new Error(`Cache entry not found: ${from}`);
+        await cacache.index.insert(this.#root, to, info.integrity, { size: info.size, metadata });
+        await cacache.rm.entry(this.#root, from, { removeFully: true });
+        this.#forget(from);
+        this.#touch(to);
+        return info.integrity;
+    }
+
+    async get(key) {
+        const result = await cacache.get(this.#root, key);
+        this.#touch(key);
+        return result;
+    }
+
+    getStream(key) {
+        const stream = cacache.get.stream(this.#root, key);
+        this.#touch(key);
+        return stream;
+    }
 
-    getStream(key) { return cacache.get.stream(this.#root, key); }
+    /**
+     * Read a byte range (end inclusive) straight from the content file
+     */
+    async getRangeStream(key, { start, end }, info = null) {
+        info = info || await cacache.get.info(this.#root, key);
+        if (!info) throw new Error(`Cache entry not found: ${key}`);
+        this.#touch(key);
+        return fs.createReadStream(info.path, { start, end });
+    }
 
     getInfo(key) { return cacache.get.info(this.#root, key); }
 
-    delete(key) { return cacache.rm.entry(this.#root, key, { removeFully: true }); }
+    delete(key) {
+        this.#forget(key);
+        this.#size = null;
+        return cacache.rm.entry(this.#root, key, { removeFully: true });
+    }
+
+    /**
+     * Remove entries together with their content. Content stays when a staging
+     * entry shares it, when one of `options.entries` (a list() result the caller
+     * already has) outside `keys` does, or when `options.keep(key)` claims the key
+     * again. Entries are looked up one by one; the cache is not listed.
+     * @returns {Promise<number>} bytes freed
+     */
+    async remove(keys, options = {}) {
+        let freed = 0;
+        for (const key of keys) {
+            if (options.keep?.(key)) continue;
+            const info = await cacache.get.info(this.#root, key);
+            if (!info) continue;
+            await cacache.rm.entry(this.#root, key, { removeFully: true });
+            this.#forget(key);
 
-    clear() { return cacache.rm.all(this.#root); }
+            const shared = options.keep?.(key)
+                || [...this.#staging.values()].includes(info.integrity)
+                || options.entries?.some(e => e.integrity === info.integrity && !keys.includes(e.key));
+            if (!shared) await cacache.rm.content(this.#root, info.integrity).catch(() => {});
+            freed += info.size || 0;
+        }
+        this.#size = null;
+        return freed;
+    }
+
+    clear() {
+        this.#accessed.clear();
+        if (this.#db) for (const key of this.#db.getKeys({ start: 'access:', end: 'access;' })) this.#db.remove(key);
+        this.#size = 0;
+        return cacache.rm.all(this.#root);
+    }
 
     verify() { return cacache.verify(this.#root); }
 
@@ -44,6 +162,131 @@ export default class Cache {
         const entries = await this.list();
         const keys = Object.keys(entries);
         const totalSize = keys.reduce((sum, k) => sum + (entries[k].size || 0), 0);
-        return { entries: keys.length, size: totalSize };
+        const { hits, misses } = this.#counters;
+        return {
+            entries: keys.length,
+            size: totalSize,
+            maxSize: this.#maxSize,
+            ...this.#counters,
+            hitRate: hits + misses ? hits / (hits + misses) : 0,
+        };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Access tracking
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /** Last access time of an entry (ms), or null if never read or written */
+    lastAccess(key) {
+        return this.#accessed.get(key) ?? this.#db?.get(`access:${key}`) ?? null;
+    }
+
+    recordHit(bytes = 0) { this.#count({ hits: 1, bytesHit: bytes }); }
+    recordMiss(bytes = 0) { this.#count({ misses: 1, bytesMissed: bytes }); }
+    recordFill(bytes = 0) { this.#count({ fills: 1, bytesFilled: bytes }); }
+
+    resetStats() {
+        this.#counters = { ...EMPTY_COUNTERS };
+        this.#db?.put('stats', this.#counters);
+    }
+
+    #count(delta) {
+        for (const [name, value] of Object.entries(delta)) this.#counters[name] += value || 0;
+        this.#db?.put('stats', this.#counters);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Eviction
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Evict cache entries. Entries rejected by the isEvictable() hook are never removed.
+     *
+     * - evict()                    → shrink to maxSize using the configured policy
+     * - evict('lru' | 'oldest')    → shrink to maxSize (or remove options.count entries) in that order
+     * - evict('oversized')         → remove entries above maxEntrySize, then largest first down to maxSize
+     * - evict(RegExp | string)     → remove entries whose id or key matches (string = prefix)
+     *
+     * @returns {Promise<{ evicted: string[], freed: number }>}
+     */
+    async evict(target = this.#policy, options = {}) {
+        const entries = Object.values(await this.list());
+        const total = entries.reduce((sum, e) => sum + (e.size || 0), 0);
+        const candidates = entries.filter(e => !options.exclude?.includes(e.key)
+            && (this.isTempKey(e.key) ? this.isStaleTemp(e) : this.#isEvictable(e.key, e)));
+        const selected = [];
+
+        if (target instanceof RegExp || !EVICTION_POLICIES.includes(target)) {
+            const matches = target instanceof RegExp
+                ? k => target.test(k)
+                : k => k.startsWith(target);
+            selected.push(...candidates.filter(e => matches(e.key) || matches(e.metadata?.key || '')));
+        } else {
+            const maxSize = parseSize(options.maxSize) ?? this.#maxSize;
+            const maxEntrySize = parseSize(options.maxEntrySize) ?? this.#maxEntrySize;
+            let remaining = total;
+            let count = options.count ?? 0;
+
+            for (const entry of this.#order(candidates, target)) {
+                const oversized = target === 'oversized' && maxEntrySize !== null && entry.size > maxEntrySize;
+                const overLimit = maxSize !== null && remaining > maxSize;
+                if (!oversized && !overLimit && count <= 0) continue;
+
+                selected.push(entry);
+                remaining -= entry.size || 0;
+                count--;
+            }
+        }
+
+        const freed = await this.#remove(selected, entries);
+        this.#size = total - freed;
+        if (selected.length) debug(`Evicted ${selected.length} entries (${freed} bytes)`);
+        return { evicted: selected.map(e => e.key), freed };
+    }
+
+    #order(entries, policy) {
+        const accessTime = e => this.lastAccess(e.key) ?? e.time;
+        switch (policy) {
+            case 'oldest': return [...entries].sort((a, b) => a.time - b.time);
+            case 'oversized': return [...entries].sort((a, b) => b.size - a.size);
+            default: return [...entries].sort((a, b) => accessTime(a) - accessTime(b));
+        }
+    }
+
+    async #remove(selected, entries) {
+        let freed = 0;
+        for (const entry of selected) {
+            await cacache.rm.entry(this.#root, entry.key, { removeFully: true });
+            this.#forget(entry.key);
+
+            // Content is shared by integrity; only drop it once nothing else points at it
+            const shared = entries.some(e => e.integrity === entry.integrity && !selected.includes(e));
+            if (!shared) await cacache.rm.content(this.#root, entry.integrity).catch(() => {});
+            freed += entry.size || 0;
+        }
+        return freed;
+    }
+
+    async #afterWrite(key, size) {
+        if (this.#maxSize === null) return;
+        if (this.#size === null) {
+            const { size: total } = await this.stats();
+            this.#size = total;
+        } else {
+            this.#size += size;
+        }
+        if (this.#size > this.#maxSize) await this.evict(this.#policy, { exclude: [key] });
+    }
+
+    #touch(key) {
+        const now = Date.now();
+        this.#accessed.set(key, now);
+        this.#db?.put(`access:${key}`, now);
+    }
+
+    #forget(key) {
+        this.#accessed.delete(key);
+        this.#staging.delete(key);
+        this.#db?.remove(`access:${key}`);
     }
 }
@@ -1,22 +1,50 @@
 import { EventEmitter } from 'events';
+import fs from 'fs';
 import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import Debug from 'debug';
 import Cache from './cache/index.js';
 import BackendManager from './backends/BackendManager.js';
 import Index from './index/index.js';
 import SyncQueue from './sync/SyncQueue.js';
+import ReplicationPolicy from './policy/index.js';
+import StorageBackend from './backends/StorageBackend.js';
 import { isBuffer, isFile, isStream } from './utils/common.js';
-import { checksumBuffer, checksumFile, formatId } from './utils/checksum.js';
-import { detectMimeType } from './utils/mime.js';
+import { KeyedMutex } from './utils/mutex.js';
+import { normalizeRange, sliceStream, streamToBuffer } from './utils/range.js';
+import { checksumBuffer, checksumStream, formatId } from './utils/checksum.js';
+import { detectMimeType, MIME_SAMPLE_SIZE } from './utils/mime.js';
 
 const debug = Debug('stored');
 
+// Scanned entries between two persisted scan checkpoints
+const SCAN_CHECKPOINT_EVERY = 500;
+
+export { StorageBackend };
+
 export default class Stored extends EventEmitter {
     #cache;
     #backends;
     #index;
     #config;
     #syncQueue;
+    #policy;
+    // Per-id serialization of multi-step updates (API calls and watcher events)
+    #locks = new KeyedMutex();
+    // id → watcher unlinks held back for moveWindow ms in case the content reappears elsewhere
+    #pendingUnlinks = new Map();
+    // backend name → { after, counts, started } of a scan that has not finished
+    #scanState;
+    // "backend:key" → fingerprint of scanned objects without checksums (written by other
+    // tools); they are not indexed, but rescans skip them until they change
+    #unhashed;
+    // Content ids between their cache write and their index record; never evicted or collected
+    #ingesting = new Set();
+    // Cache writes not awaited by their caller; stop() waits for them before closing the index
+    #pending = new Set();
+    // backend name → { controller, done } of the catch-up scan started with its watcher
+    #catchUps = new Map();
 
     constructor(config = {}) {
         super();
@@ -24,19 +52,39 @@ export default class Stored extends EventEmitter {
             defaultBackends: config.defaultBackends || [],
             checksums: config.checksums || ['sha256'],
             primaryChecksum: config.primaryChecksum || 'sha256',
+            moveWindow: 2000,
             ...config,
         };
 
-        // Cache is mandatory — derive path from index path if not provided
-        const cachePath = config.cache?.path || (config.index?.path ? config.index.path + '-cache' : './.stored-cache');
-        this.#cache = new Cache({ path: cachePath, algorithms: config.checksums || ['sha256'] });
+        // Extra drivers; the registry is process-wide so re-registering the same class is a no-op
+        for (const [name, Driver] of Object.entries(config.drivers || {})) {
+            if (BackendManager.getDriver(name) !== Driver) Stored.registerDriver(name, Driver);
+        }
 
         this.#backends = new BackendManager();
         this.#index = new Index(config.index?.path);
+        this.#policy = new ReplicationPolicy(config.policies);
+        this.#scanState = this.#index.openDB('scan');
+        this.#unhashed = this.#index.openDB('unhashed');
 
-        // Background sync queue for remote backends (worker spawned lazily)
-        this.#syncQueue = new SyncQueue();
-        this.#syncQueue.on('synced', ({ id, results }) => this.#handleSyncResult(id, results));
+        // Cache is mandatory — derive path from index path if not provided
+        const cachePath = config.cache?.path || (config.index?.path ? config.index.path + '-cache' : './.stored-cache');
+        this.#cache = new Cache({
+            ...config.cache,
+            path: cachePath,
+            algorithms: config.checksums || ['sha256'],
+            db: this.#index.openDB('cache'),
+            isEvictable: (id) => this.#isEvictable(id),
+        });
+
+        // Persistent background sync queue for remote backends (worker spawned lazily)
+        this.#syncQueue = new SyncQueue({
+            ...config.sync,
+            db: this.#index.openDB('sync'),
+            resolveTarget: target => this.#resolveSyncTarget(target),
+        });
+        this.#syncQueue.on('start', (job) => this.#handleSyncStart(job));
+        this.#syncQueue.on('synced', ({ id, results, job }) => this.#handleSyncResult(id, results, job));
         this.#syncQueue.on('error', (err) => this.emit('error', err));
 
         debug('Stored initialized');
@@ -49,26 +97,50 @@ export default class Stored extends EventEmitter {
     get cache() { return this.#cache; }
     get index() { return this.#index; }
     get backends() { return this.#backends; }
+    get syncQueue() { return this.#syncQueue; }
 
     // ─────────────────────────────────────────────────────────────────────────
     // Backend Management
     // ─────────────────────────────────────────────────────────────────────────
 
+    /**
+     * Register a third-party backend driver for all Stored instances.
+     * `module` must resolve to a module whose default export is the driver so
+     * the sync worker can import it (defaults to `Driver.module`).
+     */
+    static registerDriver(name, Driver, module) { BackendManager.registerDriver(name, Driver, module); }
+    static listDrivers() { return BackendManager.listDrivers(); }
+
     addBackend(name, config) {
         const backend = this.#backends.add(name, config);
 
-        backend.on('file:add', e => this.#handleFileEvent('file:add', e));
-        backend.on('file:change', e => this.#handleFileEvent('file:change', e));
-        backend.on('file:unlink', e => this.#handleFileEvent('file:unlink', e));
+        backend.on('file:add', e => this.#queueFileEvent('file:add', e));
+        backend.on('file:change', e => this.#queueFileEvent('file:change', e));
+        backend.on('file:unlink', e => this.#queueFileEvent('file:unlink', e));
         backend.on('scan:start', e => this.emit('scan:start', e));
+        backend.on('scan:progress', e => this.emit('scan:progress', e));
         backend.on('scan:complete', e => this.emit('scan:complete', e));
         backend.on('error', e => this.emit('error', e));
 
-        if (config.watch) backend.watch();
+        if (config.watch) {
+            backend.watch();
+            if (config.catchUp !== false && backend.scannable) this.#catchUp(backend);
+        }
+
+        // Resumed sync jobs for this backend can run now
+        this.#syncQueue.start();
         return backend;
     }
 
-    removeBackend(name) { return this.#backends.remove(name); }
+    async removeBackend(name) {
+        await this.#stopCatchUp(name);
+        // Records that lose a replica with this backend may fall below their policies
+        const affected = this.#policy.enabled ? this.#index.findByBackend(name).map(m => m.id) : [];
+        const removed = await this.#backends.remove(name);
+        for (const id of affected) await this.reconcile(id);
+        return removed;
+    }
+
     listBackends() { return this.#backends.list(); }
     getBackend(name) { return this.#backends.get(name); }
 
@@ -79,154 +151,705 @@ export default class Stored extends EventEmitter {
     async put(blob, options = {}) {
         const { key, backends = this.#config.defaultBackends, metadata = {} } = options;
 
-        const { data, checksums, size, mimeType } = await this.#normalizeBlob(blob);
+        const blobInfo = await this.#normalizeBlob(blob);
+        const { checksums, size, mimeType } = blobInfo;
         const id = formatId(checksums, this.#config.primaryChecksum);
         const finalKey = key || this.#generateKey(checksums);
 
-        // 1. Write to cache first (always, fast)
-        await this.#cache.put(id, data, { key: finalKey, checksums, size, mimeType });
+        return this.#locks.run(id, async () => {
+            // 1. Write to cache first (always, fast) — streamed input is already staged under a temp key.
+            // Until step 3 indexes it, nothing else knows the blob is needed: keep eviction and gc away.
+            this.#ingesting.add(id);
+            const cacheMeta = { key: finalKey, checksums, size, mimeType };
+            try {
+                if (blobInfo.data) await this.#cache.put(id, blobInfo.data, cacheMeta);
+                else await this.#cache.rename(blobInfo.tempKey, id, cacheMeta);
+            } catch (err) {
+                this.#ingesting.delete(id);
+                throw err;
+            }
+            const read = blobInfo.read || (() => this.#cache.getStream(id));
 
-        // 2. Write to backends — local immediately, remote via queue
-        const targetNames = backends.length ? backends : this.#backends.list();
-        const locations = [];
-        const remoteTargets = [];
+            // 2. Write to backends — local immediately, remote via queue
+            const targetNames = backends.length ? backends : this.#backends.list();
+            const locations = [];
+            const remoteTargets = [];
+            let meta;
 
-        for (const name of targetNames) {
-            const backend = this.#backends.get(name);
-            if (!backend) continue;
+            try {
+                for (const name of targetNames) {
+                    const backend = this.#backends.get(name);
+                    if (!backend) continue;
+
+                    if (backend.type === 'local') {
+                        await backend.put(finalKey, read(), { size, checksums, mimeType });
+                        locations.push(this.#buildLocation(name, finalKey, true));
+                    } else {
+                        locations.push(this.#buildLocation(name, finalKey, false));
+                        remoteTargets.push(this.#buildSyncTarget(name, finalKey));
+                    }
+                }
 
-            if (backend.type === 'local') {
-                await backend.put(finalKey, data);
-                locations.push(this.#buildLocation(name, finalKey, true));
-            } else {
-                locations.push(this.#buildLocation(name, finalKey, false));
-                remoteTargets.push({ name, driver: backend.config.driver, root: backend.config.root, key: finalKey });
+                // 3. Update index — merged into the current record so keys added meanwhile survive;
+                // keys that held other content until now are taken from its record
+                meta = this.#index.transaction(() => {
+                    this.#releaseKeys(id, locations);
+                    return this.#index.update(id, existing => ({
+                        checksums,
+                        size,
+                        mimeType,
+                        locations: mergeLocations(existing?.locations, locations),
+                        custom: { ...existing?.custom, ...metadata },
+                    }));
+                });
+
+                // 4. Enqueue remote backend sync
+                if (remoteTargets.length) {
+                    this.#syncQueue.enqueue({ id, cacheRoot: this.#cache.root, cacheKey: id, targets: remoteTargets });
+                }
+            } finally {
+                this.#ingesting.delete(id);
             }
-        }
-
-        // 3. Update index
-        const meta = this.#index.put(id, { checksums, size, mimeType, locations, custom: metadata });
 
-        // 4. Enqueue remote backend sync
-        if (remoteTargets.length) {
-            this.#syncQueue.enqueue({ id, cacheRoot: this.#cache.root, cacheKey: id, targets: remoteTargets });
-        }
+            // 5. Replication policies may require more copies than requested
+            if (this.#policy.enabled && (await this.#reconcileEntry(meta)).added.length) {
+                meta = this.#index.get(id);
+            }
 
-        this.emit('put', { id, key: finalKey, metadata: meta });
-        debug(`PUT ${id.slice(0, 19)}... → cache + ${targetNames.join(', ')}`);
-        return meta;
+            this.emit('put', { id, key: finalKey, metadata: meta });
+            debug(`PUT ${id.slice(0, 19)}... → cache + ${targetNames.join(', ')}`);
+            return meta;
+        });
     }
 
     async get(idOrKey, options = {}) {
         const meta = this.#index.get(idOrKey);
         if (!meta) return null;
+        if (options.range) return this.#getRange(meta, options);
 
-        // 1. Cache by content ID
-        if (options.stream) {
+        // 1. Cache by content ID (check first: cache streams only fail once read)
+        const cached = await this.#cache.getInfo(meta.id).catch(() => null);
+        if (cached) {
             try {
-                return this.#cache.getStream(meta.id);
+                const data = options.stream
+                    ? this.#cache.getStream(meta.id)
+                    : (await this.#cache.get(meta.id)).data;
+                this.#cache.recordHit(cached.size);
+                return data;
             } catch { /* cache miss */ }
         }
-        try {
-            const { data } = await this.#cache.get(meta.id);
-            return data;
-        } catch { /* cache miss */ }
 
         // 2. Backend fallback
         const location = meta.locations?.find(l => l.synced);
-        if (!location) return null;
-
-        const backend = this.#backends.get(location.backend);
-        if (!backend) return null;
-
-        const data = await backend.get(location.key, options);
+        const backend = location && this.#backends.get(location.backend);
+        const data = backend ? await backend.get(location.key, options) : null;
+        this.#cache.recordMiss(data ? (Buffer.isBuffer(data) ? data.length : meta.size) : 0);
 
         // 3. Cache on read (buffer only)
         if (data && Buffer.isBuffer(data)) {
-            this.#cache.put(meta.id, data).catch(() => {});
+            this.#track(this.#cache.put(meta.id, data, { checksums: meta.checksums, size: meta.size, mimeType: meta.mimeType })
+                .then(() => this.#cache.recordFill(data.length)));
         }
 
         return data;
     }
 
+    /**
+     * Delete content from its backends. An id removes every location; a
+     * "backend:key" path removes only that key. The cached content is released
+     * once no key references it anymore.
+     */
     async delete(idOrKey, options = {}) {
-        const meta = this.#index.get(idOrKey);
-        if (!meta) return { deleted: [] };
+        const id = this.#index.get(idOrKey)?.id;
+        if (!id) return { deleted: [] };
+
+        return this.#locks.run(id, async () => {
+            const meta = this.#index.get(id);
+            if (!meta) return { deleted: [] };
+
+            const targets = options.backends
+                ? meta.locations.filter(l => options.backends.includes(l.backend))
+                : idOrKey === meta.id ? meta.locations : meta.locations.filter(l => `${l.backend}:${l.key}` === idOrKey);
+
+            const deleted = [];
+            const dropped = [];
+            for (const loc of targets) {
+                const backend = this.#backends.get(loc.backend);
+                if (backend && await backend.delete(loc.key)) {
+                    deleted.push(loc.backend);
+                    dropped.push(loc);
+                } else if (!options.backends) {
+                    dropped.push(loc);
+                }
+            }
 
-        // Remove from cache
-        this.#cache.delete(meta.id).catch(() => {});
+            this.#dropLocations(meta.id, dropped);
+            this.emit('delete', { id: meta.id, backends: deleted });
+            return { deleted };
+        });
+    }
 
-        const targets = options.backends
-            ? meta.locations.filter(l => options.backends.includes(l.backend))
-            : meta.locations;
+    stat(idOrKey) { return this.#index.get(idOrKey); }
+    has(idOrKey) { return this.#index.has(idOrKey); }
 
-        const deleted = [];
-        for (const loc of targets) {
-            const backend = this.#backends.get(loc.backend);
-            if (backend && await backend.delete(loc.key)) deleted.push(loc.backend);
+    /**
+     * Iterate indexed keys in order, optionally for one backend and/or under a
+     * key prefix. Each entry has a `cursor`; pass it back to continue after it.
+     */
+    async *list(options = {}) {
+        const { backend, prefix, limit = Infinity, cursor } = options;
+        let count = 0;
+
+        for (const { meta, location, cursor: next } of this.#index.paths({ backend, prefix, cursor })) {
+            if (count++ >= limit) return;
+            yield {
+                id: meta.id,
+                backend: location.backend,
+                key: location.key,
+                size: meta.size,
+                mimeType: meta.mimeType,
+                checksums: meta.checksums,
+                synced: location.synced,
+                cursor: next,
+            };
         }
+    }
 
-        if (!options.backends || deleted.length === meta.locations.length) {
-            this.#index.delete(meta.id);
-        } else {
-            meta.locations = meta.locations.filter(l => !deleted.includes(l.backend));
-            this.#index.put(meta.id, meta);
+    /**
+     * Folders and files directly under a path, from the index. Directories carry
+     * recursive `files` and `size` totals. Without a backend, all backends are merged.
+     */
+    readdir(path = '', options = {}) {
+        const backends = options.backend ? [options.backend] : this.#index.backends();
+        const merged = new Map();
+
+        for (const backend of backends) {
+            for (const entry of this.#index.readdir(backend, path)) {
+                const mergeKey = `${entry.type}:${entry.name}:${entry.id || ''}`;
+                const existing = merged.get(mergeKey);
+                if (!existing) {
+                    merged.set(mergeKey, { ...entry, backends: [backend] });
+                } else {
+                    existing.backends.push(backend);
+                    if (entry.type === 'directory') {
+                        existing.files += entry.files;
+                        existing.size += entry.size;
+                    }
+                }
+            }
         }
 
-        this.emit('delete', { id: meta.id, backends: deleted });
-        return { deleted };
+        return [...merged.values()].sort((a, b) =>
+            a.type === b.type ? (a.name < b.name ? -1 : a.name > b.name ? 1 : 0) : a.type === 'directory' ? -1 : 1
+        );
     }
 
-    stat(idOrKey) { return this.#index.get(idOrKey); }
-    has(idOrKey) { return this.#index.has(idOrKey); }
-
-    async *list(options = {}) {
-        const { backend: backendName, prefix } = options;
-
-        if (backendName) {
-            const backend = this.#backends.get(backendName);
-            if (backend) yield* backend.list({ prefix });
-        } else {
-            for (const [, meta] of this.#index.entries()) {
-                yield meta;
+    /**
+     * Nested directory view with aggregated sizes and file counts
+     * @returns {{ name, path, type: 'directory', files, size, children: object[] }}
+     */
+    tree(path = '', options = {}) {
+        const { backend, depth = Infinity } = options;
+        const backends = backend ? [backend] : this.#index.backends();
+        const dir = path.split('/').filter(Boolean).join('/');
+        const totals = { files: 0, size: 0 };
+        for (const name of backends) {
+            const stat = this.#index.dirStat(name, dir);
+            if (stat) {
+                totals.files += stat.files;
+                totals.size += stat.size;
             }
         }
+
+        const build = (parent, level) => this.readdir(parent, { backend }).map(entry =>
+            entry.type === 'directory'
+                ? { ...entry, children: level < depth ? build(entry.path, level + 1) : undefined }
+                : entry
+        );
+
+        return {
+            name: dir.split('/').at(-1) || '',
+            path: dir,
+            type: 'directory',
+            ...totals,
+            children: depth > 0 ? build(dir, 1) : undefined,
+        };
     }
 
+    /**
+     * Find indexed entries by mime type, size, timestamps, backend, sync state
+     * or custom metadata. See Index#query for the filter fields.
+     *
+     * @returns {{ items: object[], cursor: string|null }}
+     */
+    query(filter = {}) { return this.#index.query(filter); }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Scan / Index
     // ─────────────────────────────────────────────────────────────────────────
 
-    async scan(backendName) {
+    /**
+     * Index existing files on backends. Each location keeps the fingerprint the
+     * backend reported, so later scans skip files that have not changed since.
+     * Synced locations whose key is no longer on the backend are removed.
+     * Backends whose driver does not implement scan() are skipped.
+     *
+     * Entries are indexed as the backend streams them. Progress is checkpointed
+     * in the index; a scan that crashed or was aborted through `signal` picks up
+     * behind its last checkpoint on the next call unless `resume` is false.
+     *
+     * With `events`, new, changed and vanished keys are also reported as
+     * file:add / file:change / file:unlink with origin "scan".
+     *
+     * Options: { signal, concurrency, progressInterval, resume = true, events }
+     * @returns {Promise<{ added, changed, removed, unchanged }>}
+     */
+    async scan(backendName, options = {}) {
+        if (typeof backendName === 'object' && backendName !== null) [backendName, options] = [undefined, backendName];
         const backends = backendName
             ? [this.#backends.get(backendName)].filter(Boolean)
             : this.#backends.all();
 
-        const results = [];
+        const summary = { added: 0, changed: 0, removed: 0, unchanged: 0 };
         for (const backend of backends) {
-            const files = await backend.scan({ algorithms: this.#config.checksums });
-            for (const file of files) {
-                if (file.checksums) {
+            options.signal?.throwIfAborted();
+            const counts = await this.#scanBackend(backend, options);
+            for (const field of Object.keys(summary)) summary[field] += counts[field];
+        }
+        return summary;
+    }
+
+    async #scanBackend(backend, options) {
+        // Without scan() there is no listing to compare the index with
+        if (!backend.scannable) {
+            debug(`Skipping scan of ${backend.name}: driver has no scan()`);
+            return { added: 0, changed: 0, removed: 0, unchanged: 0 };
+        }
+        const { signal, resume = true } = options;
+        const checkpoint = resume ? this.#scanState.get(backend.name) : null;
+        const counts = { added: 0, changed: 0, removed: 0, unchanged: 0, ...checkpoint?.counts };
+        const started = checkpoint?.started || Date.now();
+        const seen = new Set();
+        let after = checkpoint?.after;
+        let pending = 0;
+
+        const save = () => this.#scanState.putSync(backend.name, { after, counts, started });
+        if (checkpoint) debug(`Resuming scan of ${backend.name} after ${after}`);
+
+        try {
+            const files = backend.scan({
+                algorithms: this.#config.checksums,
+                known: key => this.#index.get(`${backend.name}:${key}`)?.locations
+                    ?.find(l => l.backend === backend.name && l.key === key)?.fingerprint
+                    ?? this.#unhashed.get(`${backend.name}:${key}`)?.fingerprint,
+                after,
+                signal,
+                concurrency: options.concurrency,
+                progressInterval: options.progressInterval,
+            });
+
+            for await (const file of files) {
+                seen.add(file.key);
+                const unhashed = this.#unhashed.doesExist(`${backend.name}:${file.key}`);
+                if (file.unchanged) {
+                    if (!unhashed) counts.unchanged++;
+                } else if (!file.checksums?.[this.#config.primaryChecksum]) {
+                    if (file.fingerprint) counts.removed += await this.#recordUnhashed(file, options.events);
+                } else {
+                    if (unhashed) this.#unhashed.removeSync(`${backend.name}:${file.key}`);
                     const id = formatId(file.checksums, this.#config.primaryChecksum);
-                    const existing = this.#index.get(id);
-                    const location = this.#buildLocation(file.backend, file.key, true);
+                    const { status, previous, locations } = await this.#locks.run(id, () => this.#indexScanned(id, file));
+                    counts[status]++;
+
+                    const payload = { ...file, id, locations, origin: 'scan' };
+                    if (options.events && status === 'added') this.#emitFileEvent('file:add', payload);
+                    if (options.events && status === 'changed') this.#emitFileEvent('file:change', { ...payload, previous: previous.id });
+                }
+
+                after = file.key;
+                if (++pending >= SCAN_CHECKPOINT_EVERY) {
+                    save();
+                    pending = 0;
+                }
+            }
+            signal?.throwIfAborted();
+        } catch (err) {
+            if (after) save();
+            throw err;
+        }
 
-                    const locations = existing?.locations || [];
-                    if (!locations.some(l => l.backend === file.backend && l.key === file.key)) {
-                        locations.push(location);
+        // Keys walked before a resumed scan's checkpoint were not seen this time
+        const onDrop = options.events
+            ? (meta, key, updated) => this.#emitFileEvent('file:unlink', {
+                backend: backend.name, key, id: meta.id, checksums: meta.checksums, locations: updated?.locations || [], origin: 'scan',
+            })
+            : null;
+        counts.removed += await this.#dropVanished(backend, seen, !!checkpoint, onDrop);
+        if (!checkpoint) this.#pruneUnhashed(backend.name, seen);
+        this.#scanState.removeSync(backend.name);
+        return counts;
+    }
+
+    /**
+     * Remember an object that carries no checksums so rescans skip it. A synced
+     * location the index still has for its key held other content that is gone.
+     */
+    async #recordUnhashed(file, events) {
+        const pathKey = `${file.backend}:${file.key}`;
+        this.#unhashed.putSync(pathKey, { backend: file.backend, fingerprint: file.fingerprint });
+
+        const id = this.#index.get(pathKey)?.id;
+        if (!id) return 0;
+        return this.#locks.run(id, () => {
+            const meta = this.#index.get(pathKey);
+            const location = meta?.id === id && meta.locations.find(l => l.backend === file.backend && l.key === file.key);
+            if (!location?.synced) return 0;
+
+            const updated = this.#dropLocations(id, [location]);
+            if (updated) this.#reconcileInBackground(id);
+            if (events) {
+                this.#emitFileEvent('file:unlink', {
+                    backend: file.backend, key: file.key, id, checksums: meta.checksums, locations: updated?.locations || [], origin: 'scan',
+                });
+            }
+            return 1;
+        });
+    }
+
+    // Forget objects without checksums that a full scan no longer saw
+    #pruneUnhashed(name, seen) {
+        const prefix = `${name}:`;
+        const stale = [];
+        for (const { key, value } of this.#unhashed.getRange({ start: prefix })) {
+            if (!key.startsWith(prefix)) break;
+            if (value.backend === name && !seen.has(key.slice(prefix.length))) stale.push(key);
+        }
+        for (const key of stale) this.#unhashed.removeSync(key);
+    }
+
+    /**
+     * Changes made while a watched backend was not being watched are picked up
+     * by an incremental scan that reports them as file:add / file:change /
+     * file:unlink events (origin "scan"), then `catchup:complete` with the counts
+     */
+    #catchUp(backend) {
+        const running = { controller: new AbortController() };
+        running.done = this.#scanBackend(backend, { signal: running.controller.signal, events: true })
+            .then(counts => this.emit('catchup:complete', { backend: backend.name, ...counts }))
+            .catch(err => { if (!running.controller.signal.aborted) this.emit('error', err); })
+            .finally(() => { if (this.#catchUps.get(backend.name) === running) this.#catchUps.delete(backend.name); });
+        this.#catchUps.set(backend.name, running);
+    }
+
+    async #stopCatchUp(name) {
+        const running = this.#catchUps.get(name);
+        if (!running) return;
+        running.controller.abort();
+        await running.done;
+    }
+
+    /**
+     * Record a hashed scan entry. `status` says whether its key was added or
+     * changed content, or still holds the same content under a new fingerprint.
+     */
+    #indexScanned(id, file) {
+        return this.#index.transaction(() => {
+            const previous = this.#index.get(`${file.backend}:${file.key}`);
+            if (previous && previous.id !== id) {
+                if (this.#dropLocations(previous.id, [file])) this.#reconcileInBackground(previous.id);
+            }
+
+            const { locations } = this.#index.update(id, existing => {
+                const current = existing?.locations?.find(l => l.backend === file.backend && l.key === file.key);
+                const location = { ...current, ...this.#buildLocation(file.backend, file.key, true), fingerprint: file.fingerprint };
+                return {
+                    checksums: file.checksums,
+                    size: file.size,
+                    mimeType: file.mimeType,
+                    locations: mergeLocations(existing?.locations, [location]),
+                };
+            });
+
+            const status = !previous ? 'added' : previous.id === id ? 'unchanged' : 'changed';
+            return { status, previous, locations };
+        });
+    }
+
+    /**
+     * Remove synced locations of a backend whose keys a full scan did not see.
+     * Unsynced ones are still waiting for their upload and are left alone.
+     * With `confirm`, unseen keys are only dropped once stat() misses them too.
+     */
+    async #dropVanished(backend, seen, confirm, onDrop) {
+        const vanished = [];
+        for (const { key, meta, location } of this.#index.paths({ backend: backend.name })) {
+            if (location.synced && !seen.has(key)) vanished.push({ id: meta.id, backend: backend.name, key });
+        }
+
+        let removed = 0;
+        for (const { id, ...location } of vanished) {
+            if (confirm && await backend.stat(location.key).catch(() => null)) continue;
+            await this.#locks.run(id, () => {
+                const meta = this.#index.get(`${location.backend}:${location.key}`);
+                if (meta?.id !== id) return;
+                const updated = this.#dropLocations(id, [location]);
+                if (updated) this.#reconcileInBackground(id);
+                removed++;
+                onDrop?.(meta, location.key, updated);
+            });
+        }
+        if (removed) debug(`Scan of ${backend.name}: ${removed} vanished location(s) removed`);
+        return removed;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Integrity
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Check every synced location against the index checksums.
+     * Local replicas are re-hashed; remote ones are checked via stat() (size and
+     * stored checksum metadata) unless `deep` is set. Bad locations are marked
+     * unsynced; with `repair` they are re-copied from the cache or a healthy replica
+     * (remote targets are re-queued). `cache: true` also runs cacache's verify().
+     *
+     * @returns {Promise<{ checked, ok, missing, corrupted, errors, repaired, requeued, problems }>}
+     */
+    async verify(options = {}) {
+        const { backend: backendName, repair = false, deep = false } = options;
+        const summary = { checked: 0, ok: 0, missing: 0, corrupted: 0, errors: 0, repaired: 0, requeued: 0, problems: [] };
+        if (options.cache) summary.cache = await this.#cache.verify();
+
+        const ids = backendName
+            ? this.#index.findByBackend(backendName).map(m => m.id)
+            : [...this.#index.entries()].map(([id]) => id);
+
+        for (const id of ids) {
+            await this.#locks.run(id, async () => {
+                const meta = this.#index.get(id);
+                if (!meta) return;
+
+                const now = Date.now();
+                const healthy = [];
+                const bad = [];
+
+                for (const loc of meta.locations || []) {
+                    if (!loc.synced || (backendName && loc.backend !== backendName)) continue;
+                    const backend = this.#backends.get(loc.backend);
+                    if (!backend) continue;
+
+                    summary.checked++;
+                    let status;
+                    try {
+                        status = await this.#verifyLocation(backend, loc, meta, deep);
+                    } catch (err) {
+                        summary.errors++;
+                        summary.problems.push({ id, backend: loc.backend, key: loc.key, status: 'error', error: err.message });
+                        continue;
                     }
 
-                    this.#index.put(id, {
-                        checksums: file.checksums,
-                        size: file.size,
-                        mimeType: file.mimeType,
-                        locations,
-                    });
+                    loc.lastVerified = now;
+                    summary[status]++;
+                    if (status === 'ok') {
+                        healthy.push(loc);
+                        continue;
+                    }
+
+                    loc.synced = false;
+                    loc.lastError = status === 'missing' ? 'Missing on backend' : 'Checksum mismatch';
+                    bad.push(loc);
+                    summary.problems.push({ id, backend: loc.backend, key: loc.key, status });
+                    this.emit(`verify:${status}`, { id, backend: loc.backend, key: loc.key });
                 }
+
+                if (repair && bad.length) await this.#repair(meta, bad, healthy, summary);
+                if (healthy.length || bad.length) this.#applyLocationState(id, [...healthy, ...bad]);
+            });
+        }
+
+        debug(`Verify: ${summary.checked} checked, ${summary.missing} missing, ${summary.corrupted} corrupted, ${summary.repaired} repaired`);
+        return summary;
+    }
+
+    /**
+     * Find and reclaim content nothing references: cache entries without an
+     * index record and, for the backends named in `backends`, objects no index
+     * location points at. Backends are opt-in because they may hold files
+     * Stored never indexed. Staging entries older than `tempMaxAge` ms (the
+     * cache's, one hour by default) were left by interrupted puts and go too.
+     *
+     * @returns {Promise<{ dryRun, cache: string[], backends: Object<string, string[]>, freed: number }>}
+     */
+    async gc(options = {}) {
+        const { dryRun = false, backends = [] } = options;
+        const report = { dryRun, cache: [], backends: {}, freed: 0 };
+
+        const entries = Object.values(await this.#cache.list());
+        for (const entry of entries) {
+            const kept = this.#cache.isTempKey(entry.key)
+                ? !this.#cache.isStaleTemp(entry, options.tempMaxAge)
+                : this.#isReferenced(entry.key);
+            if (kept) continue;
+            report.cache.push(entry.key);
+            report.freed += entry.size || 0;
+        }
+
+        for (const name of backends) {
+            const backend = this.#backends.get(name);
+            if (!backend) throw new Error(`Backend not found: ${name}`);
+            const orphans = [];
+            for await (const entry of backend.list()) {
+                const meta = this.#index.get(`${name}:${entry.key}`);
+                if (meta?.locations.some(l => l.backend === name && l.key === entry.key)) continue;
+                orphans.push(entry.key);
+                report.freed += entry.size || 0;
             }
-            results.push(...files);
+            report.backends[name] = orphans;
+        }
+
+        if (!dryRun) {
+            await this.#cache.remove(report.cache, { entries, keep: key => this.#isReferenced(key) });
+            for (const [name, keys] of Object.entries(report.backends)) {
+                const backend = this.#backends.get(name);
+                for (const key of keys) await backend.delete(key);
+            }
+        }
+
+        const orphaned = report.cache.length + Object.values(report.backends).flat().length;
+        debug(`GC${dryRun ? ' (dry run)' : ''}: ${orphaned} orphans, ${report.freed} bytes`);
+        this.emit('gc', report);
+        return report;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Keys
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Make existing content available under another key, on any backend.
+     * Content missing from the cache is fetched from a synced replica first, then
+     * local backends are written right away and remote ones are queued.
+     */
+    async link(idOrKey, { backend: name, key }) {
+        const id = this.#index.get(idOrKey)?.id;
+        if (!id) throw new Error(`Not found: ${idOrKey}`);
+
+        return this.#locks.run(id, async () => {
+            const meta = this.#index.get(id);
+            if (!meta) throw new Error(`Not found: ${idOrKey}`);
+            const backend = this.#backends.get(name);
+            if (!backend) throw new Error(`Backend not found: ${name}`);
+            if (meta.locations.some(l => l.backend === name && l.key === key)) return meta;
+            this.#assertKeyFree(meta.id, name, key);
+
+            if (!await this.#ensureCached(meta, meta.locations.filter(l => l.synced))) {
+                throw new Error(`No readable copy of ${meta.id}`);
+            }
+
+            const local = backend.type === 'local';
+            if (local) {
+                await backend.put(key, this.#cache.getStream(meta.id), {
+                    checksums: meta.checksums, size: meta.size, mimeType: meta.mimeType,
+                });
+            }
+
+            const updated = this.#index.updateLocations(meta.id, { add: [this.#buildLocation(name, key, local)] });
+            if (!local) {
+                this.#syncQueue.enqueue({ id: meta.id, cacheRoot: this.#cache.root, cacheKey: meta.id, targets: [this.#buildSyncTarget(name, key)] });
+            }
+
+            this.emit('link', { id: meta.id, backend: name, key });
+            return updated;
+        });
+    }
+
+    /**
+     * Remove one key from a backend without touching other keys of the same content.
+     * The index record goes away with its last location.
+     */
+    async unlink(name, key) {
+        const id = this.#index.get(`${name}:${key}`)?.id;
+        if (!id) return false;
+
+        return this.#locks.run(id, async () => {
+            const meta = this.#index.get(id);
+            if (!meta?.locations.some(l => l.backend === name && l.key === key)) return false;
+
+            await this.#backends.get(name)?.delete(key);
+            const updated = this.#dropLocations(meta.id, [{ backend: name, key }]);
+
+            this.emit('unlink', { id: meta.id, backend: name, key, remaining: updated?.locations.length ?? 0 });
+            return true;
+        });
+    }
+
+    /**
+     * Rename a key on one backend, or on every backend that has it.
+     * @returns {Promise<{ moved: string[] }>} backends the key was moved on
+     */
+    async move(fromKey, toKey, options = {}) {
+        const names = options.backend ? [options.backend] : this.#backends.list();
+        const moved = [];
+
+        for (const name of names) {
+            const id = this.#index.get(`${name}:${fromKey}`)?.id;
+            const backend = this.#backends.get(name);
+            if (!id || !backend) continue;
+
+            await this.#locks.run(id, async () => {
+                const meta = this.#index.get(id);
+                const location = meta?.locations.find(l => l.backend === name && l.key === fromKey);
+                if (!location) return;
+                this.#assertKeyFree(id, name, toKey);
+
+                // Pending syncs have nothing to move yet; queue them again under the new key
+                if (location.synced) await backend.move(fromKey, toKey);
+                else this.#cancelSyncs(meta, [location]);
+                this.#index.updateLocations(id, {
+                    remove: [location],
+                    add: [this.#buildLocation(name, toKey, location.synced)],
+                });
+                if (!location.synced) {
+                    this.#syncQueue.enqueue({ id, cacheRoot: this.#cache.root, cacheKey: id, targets: [this.#buildSyncTarget(name, toKey)] });
+                }
+
+                moved.push(name);
+                this.emit('move', { id, backend: name, from: fromKey, to: toKey });
+            });
+        }
+
+        return { moved };
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Replication
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Bring one record (or every record) up to its replication policies by
+     * copying to local backends and enqueueing remote syncs.
+     *
+     * @returns {Promise<{ checked, replicated, unsatisfied }>}
+     */
+    async reconcile(idOrKey) {
+        const summary = { checked: 0, replicated: 0, unsatisfied: 0 };
+        if (!this.#policy.enabled) return summary;
+
+        const ids = idOrKey
+            ? [this.#index.get(idOrKey)?.id].filter(Boolean)
+            : [...this.#index.entries()].map(([id]) => id);
+
+        for (const id of ids) {
+            await this.#locks.run(id, async () => {
+                const meta = this.#index.get(id);
+                if (!meta) return;
+                summary.checked++;
+                const { added, satisfied } = await this.#reconcileEntry(meta);
+                if (added.length) summary.replicated++;
+                if (!satisfied) summary.unsatisfied++;
+            });
         }
-        return results;
+        return summary;
     }
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -234,27 +857,296 @@ export default class Stored extends EventEmitter {
     // ─────────────────────────────────────────────────────────────────────────
 
     async stop() {
-        await this.#syncQueue.stop();
+        await Promise.all([...this.#catchUps.keys()].map(name => this.#stopCatchUp(name)));
         await this.#backends.stopAll();
+        this.#flushPendingUnlinks();
+        await this.#syncQueue.stop();
+        await Promise.all(this.#pending);
         this.#index.close();
         debug('Stopped');
     }
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Private — range reads
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Partial reads ({ range: { start, end } }, end inclusive like HTTP Range).
+     * Served from cache content or a seekable backend; backends without
+     * rangeReads are streamed from the start and sliced. Ranges are never cached.
+     */
+    async #getRange(meta, options) {
+        const range = normalizeRange(options.range, meta.size);
+        const length = range.end - range.start + 1;
+        const finish = stream => options.stream ? stream : streamToBuffer(stream);
+
+        const cached = await this.#cache.getInfo(meta.id).catch(() => null);
+        if (cached) {
+            this.#cache.recordHit(length);
+            return finish(await this.#cache.getRangeStream(meta.id, range, cached));
+        }
+
+        const location = meta.locations?.find(l => l.synced);
+        const backend = location && this.#backends.get(location.backend);
+        this.#cache.recordMiss(backend ? length : 0);
+        if (!backend) return null;
+
+        if (backend.rangeReads) return backend.get(location.key, { ...options, range });
+
+        const stream = await backend.get(location.key, { stream: true });
+        return stream ? finish(sliceStream(stream, range)) : null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Private — integrity
+    // ─────────────────────────────────────────────────────────────────────────
+
+    async #verifyLocation(backend, loc, meta, deep) {
+        const primary = this.#config.primaryChecksum;
+        const expected = meta.checksums?.[primary];
+
+        if (backend.type === 'local' || deep) {
+            const stream = await backend.get(loc.key, { stream: true });
+            if (!stream) return 'missing';
+            const checksums = await checksumStream(stream, [primary]);
+            return checksums[primary] === expected ? 'ok' : 'corrupted';
+        }
+
+        // Remote blobs are not downloaded just to be hashed
+        const stat = await backend.stat(loc.key);
+        if (!stat) return 'missing';
+        if (meta.size !== undefined && stat.size !== meta.size) return 'corrupted';
+        if (stat.metadata?.[primary] && stat.metadata[primary] !== expected) return 'corrupted';
+        return 'ok';
+    }
+
+    async #repair(meta, bad, healthy, summary) {
+        const cacheMeta = { checksums: meta.checksums, size: meta.size, mimeType: meta.mimeType };
+
+        // The cache is the repair source; refill it from a verified replica if needed
+        if (!await this.#ensureCached(meta, healthy)) return;
+
+        const remoteTargets = [];
+        for (const loc of bad) {
+            const backend = this.#backends.get(loc.backend);
+            if (backend.type !== 'local') {
+                remoteTargets.push(this.#buildSyncTarget(loc.backend, loc.key));
+                summary.requeued++;
+                continue;
+            }
+            try {
+                await backend.put(loc.key, this.#cache.getStream(meta.id), cacheMeta);
+                loc.synced = true;
+                delete loc.lastError;
+                summary.repaired++;
+                this.emit('verify:repaired', { id: meta.id, backend: loc.backend, key: loc.key });
+            } catch (err) {
+                loc.lastError = `Repair failed: ${err.message}`;
+            }
+        }
+
+        if (remoteTargets.length) {
+            this.#syncQueue.enqueue({ id: meta.id, cacheRoot: this.#cache.root, cacheKey: meta.id, targets: remoteTargets });
+        }
+    }
+
+    /**
+     * Make sure the cache holds a blob, copying it from the first readable source location
+     */
+    async #ensureCached(meta, sources) {
+        if (await this.#cache.getInfo(meta.id).catch(() => null)) return true;
+
+        for (const source of sources) {
+            const backend = this.#backends.get(source.backend);
+            if (!backend) continue;
+            try {
+                const stream = await backend.get(source.key, { stream: true });
+                if (!stream) continue;
+                await pipeline(stream, this.#cache.putStream(meta.id, {
+                    key: source.key, checksums: meta.checksums, size: meta.size, mimeType: meta.mimeType,
+                }));
+                return true;
+            } catch (err) {
+                debug(`Caching ${meta.id.slice(0, 19)}... from ${source.backend} failed: ${err.message}`);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * A backend key holds one content at a time: drop the given keys from any
+     * other record still listing them, releasing that content once unreferenced
+     */
+    #releaseKeys(id, locations) {
+        for (const loc of locations) {
+            const owner = this.#index.get(`${loc.backend}:${loc.key}`);
+            if (!owner || owner.id === id || !owner.locations?.some(l => l.backend === loc.backend && l.key === loc.key)) continue;
+            if (this.#dropLocations(owner.id, [loc])) this.#reconcileInBackground(owner.id);
+        }
+    }
+
+    /**
+     * Run a cache operation in the background; errors are ignored
+     */
+    #track(promise) {
+        const tracked = promise.catch(() => {}).finally(() => this.#pending.delete(tracked));
+        this.#pending.add(tracked);
+    }
+
+    /**
+     * Remove locations from a record; the last reference releases the cached content
+     */
+    #dropLocations(id, locations) {
+        if (!locations.length) return this.#index.get(id);
+        this.#cancelSyncs(this.#index.get(id), locations);
+        const updated = this.#index.updateLocations(id, { remove: locations });
+        // Queued on the id lock behind the current holder, so a put() of the same content waits for it
+        if (!updated) this.#track(this.#locks.run(id, () => this.#release(id)));
+        return updated;
+    }
+
+    async #release(id) {
+        const keep = key => this.#isReferenced(key);
+        if (keep(id)) return;
+        await this.#cache.remove([id], { keep });
+        debug(`Released ${id.slice(0, 19)}... (no references left)`);
+    }
+
+    // A record or a put() in flight still needs this content
+    #isReferenced(id) {
+        return this.#ingesting.has(id) || !!this.#index.get(id)?.locations?.length;
+    }
+
+    /**
+     * Keys that are still waiting for their sync must not be written anymore;
+     * a write already under way is undone when its result comes back
+     */
+    #cancelSyncs(meta, locations) {
+        for (const loc of locations) {
+            const pending = meta?.locations.some(l => !l.synced && l.backend === loc.backend && l.key === loc.key);
+            if (pending) this.#syncQueue.cancel(loc.backend, loc.key);
+        }
+    }
+
+    /**
+     * Copy verification state of checked locations onto the current record
+     */
+    #applyLocationState(id, checked) {
+        this.#index.update(id, current => current && {
+            locations: current.locations.map(loc => {
+                const state = checked.find(c => c.backend === loc.backend && c.key === loc.key);
+                return state ? { ...loc, ...state } : loc;
+            }),
+        });
+    }
+
+    #assertKeyFree(id, backend, key) {
+        const owner = this.#index.get(`${backend}:${key}`);
+        if (owner && owner.id !== id && owner.locations.some(l => l.backend === backend && l.key === key)) {
+            throw new Error(`Key already in use: ${backend}:${key}`);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Private — replication policies
+    // ─────────────────────────────────────────────────────────────────────────
+
+    async #reconcileEntry(meta) {
+        const backends = this.#backends.all().map(b => ({ name: b.name, type: b.type }));
+        const { add, satisfied, policies } = this.#policy.plan(meta, backends);
+        if (!satisfied) debug(`${meta.id.slice(0, 19)}... cannot satisfy ${policies.join(', ')} with current backends`);
+        if (!add.length) return { added: [], satisfied };
+
+        const sources = (meta.locations || []).filter(l => l.synced);
+        if (!await this.#ensureCached(meta, sources)) return { added: [], satisfied: false };
+
+        const key = meta.locations?.[0]?.key || this.#generateKey(meta.checksums);
+        const cacheMeta = { checksums: meta.checksums, size: meta.size, mimeType: meta.mimeType };
+        const locations = [];
+        const remoteTargets = [];
+
+        for (const name of add) {
+            const backend = this.#backends.get(name);
+            if (backend.type === 'local') {
+                try {
+                    await backend.put(key, this.#cache.getStream(meta.id), cacheMeta);
+                    locations.push(this.#buildLocation(name, key, true));
+                } catch (err) {
+                    debug(`Replicating ${meta.id.slice(0, 19)}... to ${name} failed: ${err.message}`);
+                }
+            } else {
+                locations.push(this.#buildLocation(name, key, false));
+                remoteTargets.push(this.#buildSyncTarget(name, key));
+            }
+        }
+
+        // The record may have changed while we were copying; merge into the current one
+        if (!locations.length) return { added: [], satisfied: false };
+        const current = this.#index.update(meta.id, existing => existing && {
+            locations: locations.reduce(withLocation, existing.locations),
+        });
+        if (!current) return { added: [], satisfied: false };
+
+        if (remoteTargets.length) {
+            this.#syncQueue.enqueue({ id: meta.id, cacheRoot: this.#cache.root, cacheKey: meta.id, targets: remoteTargets });
+        }
+
+        const added = locations.map(l => l.backend);
+        this.emit('replicate', { id: meta.id, backends: added, policies });
+        debug(`Replicated ${meta.id.slice(0, 19)}... → ${added.join(', ')}`);
+        return { added, satisfied: satisfied && added.length === add.length };
+    }
+
+    #reconcileInBackground(id) {
+        if (!this.#policy.enabled) return;
+        this.reconcile(id).catch(err => this.emit('error', err));
+    }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Private — sync result handling
     // ─────────────────────────────────────────────────────────────────────────
 
-    #handleSyncResult(id, results) {
-        const meta = this.#index.get(id);
-        if (!meta) return;
+    #handleSyncStart(job) {
+        for (const target of job.targets) {
+            this.emit('sync:start', { id: job.id, backend: target.name, key: target.key, attempt: job.attempts + 1 });
+        }
+    }
+
+    #handleSyncResult(id, results, job) {
+        const now = Date.now();
+        const events = [];
+
+        const meta = this.#index.update(id, current => {
+            if (!current) return null;
+            for (const r of results) {
+                const loc = current.locations.find(l => l.backend === r.backend && l.key === r.key);
+                if (!loc) continue;
+
+                const event = { id, backend: r.backend, key: loc.key, attempt: job.attempts };
+                loc.lastAttempt = now;
+
+                if (r.success) {
+                    loc.synced = true;
+                    delete loc.lastError;
+                    events.push(['sync:complete', event]);
+                } else {
+                    loc.lastError = r.error;
+                    events.push(['sync:error', { ...event, error: r.error, retrying: job.status === 'pending' }]);
+                }
+            }
+            return current;
+        });
 
+        // Keys dropped while their write was under way: nothing references what landed there
         for (const r of results) {
-            if (!r.success) continue;
-            const loc = meta.locations.find(l => l.backend === r.backend);
-            if (loc) loc.synced = true;
+            const backend = r.success && !this.#index.has(`${r.backend}:${r.key}`) && this.#backends.get(r.backend);
+            if (!backend) continue;
+            debug(`Removing stray ${r.backend}:${r.key}`);
+            this.#track(backend.delete(r.key));
         }
+        if (!meta) return;
 
-        this.#index.put(meta.id, meta);
+        for (const [name, payload] of events) this.emit(name, payload);
         this.emit('synced', { id, results });
     }
 
@@ -262,34 +1154,90 @@ export default class Stored extends EventEmitter {
     // Private — blob normalization & helpers
     // ─────────────────────────────────────────────────────────────────────────
 
+    /**
+     * Normalize input into an InternalBlob { checksums, size, mimeType, read() }.
+     * Buffers stay as they are; files and streams are streamed once into a temporary
+     * cache entry (tempKey) while checksums and MIME sniffing happen on the way.
+     */
     async #normalizeBlob(blob) {
         const algos = this.#config.checksums;
-        let data, checksums, mimeType;
 
         if (isBuffer(blob)) {
-            data = blob;
-            checksums = checksumBuffer(blob, algos);
-            mimeType = await detectMimeType(blob);
+            return {
+                data: blob,
+                checksums: checksumBuffer(blob, algos),
+                size: blob.length,
+                mimeType: await detectMimeType(blob),
+                read: () => Readable.from([blob]),
+            };
         } else if (isFile(blob)) {
-            const fs = await import('fs');
-            data = await fs.promises.readFile(blob);
-            checksums = await checksumFile(blob, algos);
-            mimeType = await detectMimeType(blob);
+            const staged = await this.#ingestStream(fs.createReadStream(blob));
+            return { ...staged, mimeType: await detectMimeType(blob), read: () => fs.createReadStream(blob) };
         } else if (isStream(blob)) {
-            const chunks = [];
-            for await (const chunk of blob) chunks.push(chunk);
-            data = Buffer.concat(chunks);
-            checksums = checksumBuffer(data, algos);
-            mimeType = await detectMimeType(data);
+            // Incoming streams can't be rewound; read() comes from the cache once staged
+            const staged = await this.#ingestStream(blob);
+            return { ...staged, mimeType: await detectMimeType(staged.head), read: null };
         } else if (typeof blob === 'string') {
-            data = Buffer.from(blob);
-            checksums = checksumBuffer(data, algos);
-            mimeType = 'text/plain';
-        } else {
-            throw new Error('Invalid blob type');
+            const data = Buffer.from(blob);
+            return {
+                data,
+                checksums: checksumBuffer(data, algos),
+                size: data.length,
+                mimeType: 'text/plain',
+                read: () => Readable.from([data]),
+            };
         }
 
-        return { data, checksums, size: data.length, mimeType };
+        throw new Error('Invalid blob type');
+    }
+
+    /**
+     * Tee a stream into checksumStream() and a temporary cache entry, keeping
+     * only the leading bytes for MIME detection.
+     */
+    async #ingestStream(source) {
+        const tempKey = this.#cache.tempKey();
+        const hashTap = new PassThrough();
+        const cacheTap = new PassThrough();
+        const head = [];
+        let headSize = 0;
+        let size = 0;
+
+        source.on('data', chunk => {
+            const buf = Buffer.from(chunk);
+            size += buf.length;
+            if (headSize < MIME_SAMPLE_SIZE) {
+                head.push(buf);
+                headSize += buf.length;
+            }
+        });
+        source.on('error', err => {
+            hashTap.destroy(err);
+            cacheTap.destroy(err);
+        });
+        source.pipe(hashTap);
+        source.pipe(cacheTap);
+
+        try {
+            const [checksums] = await Promise.all([
+                checksumStream(hashTap, this.#config.checksums),
+                pipeline(cacheTap, this.#cache.putStream(tempKey)),
+            ]);
+            return { tempKey, checksums, size, head: Buffer.concat(head).subarray(0, MIME_SAMPLE_SIZE) };
+        } catch (err) {
+            await this.#cache.delete(tempKey).catch(() => {});
+            throw err;
+        }
+    }
+
+    /**
+     * The cache is the staging area for remote syncs: never evict a blob while
+     * any of its locations is still waiting to be synced.
+     */
+    #isEvictable(id) {
+        if (this.#ingesting.has(id)) return false;
+        const meta = this.#index.get(id);
+        return !meta?.locations?.some(l => !l.synced);
     }
 
     #generateKey(checksums) {
@@ -310,6 +1258,18 @@ export default class Stored extends EventEmitter {
         };
     }
 
+    // Persisted with the job: no config, it may hold credentials
+    #buildSyncTarget(backendName, key) {
+        return { name: backendName, driver: this.#backends.get(backendName).config.driver, key };
+    }
+
+    // The live backend's driver and config, looked up when the job runs; jobs wait while it is not registered
+    #resolveSyncTarget(target) {
+        const backend = this.#backends.get(target.name);
+        if (!backend) return null;
+        return { ...target, module: BackendManager.driverModule(backend.config.driver), config: backend.config };
+    }
+
     #buildSourceDescriptor(backendName, key, config = {}) {
         const [providerHint, ...accountHintParts] = String(backendName || '').split(':').filter(Boolean);
         const provider = config.provider || providerHint || config.driver || 'unknown';
@@ -329,71 +1289,154 @@ export default class Stored extends EventEmitter {
         };
     }
 
+    /**
+     * Watcher events wait for API calls in flight on the same content id
+     */
+    #queueFileEvent(event, data) {
+        const id = data.checksums
+            ? formatId(data.checksums, this.#config.primaryChecksum)
+            : this.#index.get(`${data.backend}:${data.key}`)?.id;
+
+        this.#locks.run(id ?? `${data.backend}:${data.key}`, () => this.#handleFileEvent(event, data))
+            .catch(err => this.emit('error', err));
+    }
+
+    #indexLocation(id, file, location) {
+        return this.#index.transaction(() => {
+            this.#releaseKeys(id, [location]);
+            return this.#index.update(id, existing => ({
+                checksums: file.checksums,
+                size: file.size,
+                mimeType: file.mimeType,
+                locations: withLocation(existing?.locations, location),
+            }));
+        });
+    }
+
+    /**
+     * Echoes of our own writes (origin "api") update the index like any other
+     * event but are only re-emitted with `emitEchoes`
+     */
+    #emitFileEvent(event, payload) {
+        if (payload.origin === 'api' && !this.#config.emitEchoes) return;
+        this.emit(event, payload);
+    }
+
     #handleFileEvent(event, data) {
         const pathKey = `${data.backend}:${data.key}`;
         const location = this.#buildLocation(data.backend, data.key, true);
 
         if (event === 'file:add' && data.checksums) {
             const id = formatId(data.checksums, this.#config.primaryChecksum);
-            const existing = this.#index.get(id);
 
-            const locations = existing?.locations || [];
-            if (!locations.some(l => l.backend === data.backend && l.key === data.key)) {
-                locations.push(location);
+            // Other content whose unlink of this key is still held back is gone for good
+            const owner = this.#index.get(pathKey);
+            if (owner && owner.id !== id) {
+                const replaced = this.#takePendingUnlink(owner.id, data.backend, data.key);
+                if (replaced) this.#applyUnlink(replaced);
             }
 
-            this.#index.put(id, {
-                checksums: data.checksums,
-                size: data.size,
-                mimeType: data.mimeType,
-                locations,
-            });
-            this.emit(event, { ...data, id, locations });
-
-        } else if (event === 'file:change' && data.checksums) {
-            const oldMeta = this.#index.get(pathKey);
-            if (oldMeta) {
-                oldMeta.locations = oldMeta.locations.filter(l =>
-                    !(l.backend === data.backend && l.key === data.key)
-                );
-                if (oldMeta.locations.length === 0) {
-                    this.#index.delete(oldMeta.id);
-                } else {
-                    this.#index.put(oldMeta.id, oldMeta);
-                }
-                this.emit('file:unlink', { ...data, id: oldMeta.id, checksums: oldMeta.checksums });
+            // Same content vanished from another key moments ago: a rename, not a new file
+            const moved = this.#takePendingUnlink(id, data.backend);
+            if (moved && moved.key !== data.key) {
+                const { locations } = this.#index.updateLocations(id, { remove: [moved], add: [location] });
+                this.#emitFileEvent('file:move', { ...data, id, from: moved.key, to: data.key, locations });
+                return;
             }
 
-            const newId = formatId(data.checksums, this.#config.primaryChecksum);
-            const existing = this.#index.get(newId);
-            const locations = existing?.locations || [];
-            if (!locations.some(l => l.backend === data.backend && l.key === data.key)) {
-                locations.push(location);
-            }
+            const { locations } = this.#indexLocation(id, data, location);
+            this.#emitFileEvent(event, { ...data, id, locations });
 
-            this.#index.put(newId, {
-                checksums: data.checksums,
-                size: data.size,
-                mimeType: data.mimeType,
-                locations,
+        } else if (event === 'file:change' && data.checksums) {
+            // Moving the key from the old content to the new one is a single transaction
+            const newId = formatId(data.checksums, this.#config.primaryChecksum);
+            const { oldMeta, remaining, locations } = this.#index.transaction(() => {
+                const oldMeta = this.#index.get(pathKey);
+                const remaining = oldMeta && oldMeta.id !== newId ? this.#dropLocations(oldMeta.id, [data]) : null;
+                return { oldMeta, remaining, ...this.#indexLocation(newId, data, location) };
             });
-            this.emit('file:add', { ...data, id: newId, locations });
+
+            // Same shape as a catch-up scan: new content of a known key is one file:change
+            if (!oldMeta) {
+                this.#emitFileEvent('file:add', { ...data, id: newId, locations });
+            } else if (oldMeta.id !== newId) {
+                if (remaining) this.#reconcileInBackground(oldMeta.id);
+                this.#emitFileEvent('file:change', { ...data, id: newId, previous: oldMeta.id, locations });
+            }
 
         } else if (event === 'file:unlink') {
             const meta = this.#index.get(pathKey);
-            if (meta) {
-                meta.locations = meta.locations.filter(l =>
-                    !(l.backend === data.backend && l.key === data.key)
-                );
-                if (meta.locations.length === 0) {
-                    this.#index.delete(meta.id);
-                } else {
-                    this.#index.put(meta.id, meta);
-                }
-                this.emit(event, { ...data, id: meta.id, checksums: meta.checksums, locations: meta.locations });
-            } else {
-                this.emit(event, data);
+            if (meta && data.origin !== 'api' && this.#config.moveWindow > 0) this.#deferUnlink(meta.id, data);
+            else this.#applyUnlink(data);
+        }
+    }
+
+    #applyUnlink(data) {
+        const meta = this.#index.get(`${data.backend}:${data.key}`);
+        if (meta) {
+            const updated = this.#dropLocations(meta.id, [data]);
+            if (updated) this.#reconcileInBackground(meta.id);
+            this.#emitFileEvent('file:unlink', { ...data, id: meta.id, checksums: meta.checksums, locations: updated?.locations || [] });
+        } else {
+            this.#emitFileEvent('file:unlink', data);
+        }
+    }
+
+    #deferUnlink(id, data) {
+        const pending = { id, data };
+        pending.timer = setTimeout(() => {
+            this.#removePendingUnlink(pending);
+            this.#locks.run(id, () => this.#applyUnlink(data)).catch(err => this.emit('error', err));
+        }, this.#config.moveWindow);
+        pending.timer.unref();
+
+        const list = this.#pendingUnlinks.get(id) || [];
+        list.push(pending);
+        this.#pendingUnlinks.set(id, list);
+    }
+
+    #takePendingUnlink(id, backend, key) {
+        const pending = this.#pendingUnlinks.get(id)?.find(p => p.data.backend === backend && (!key || p.data.key === key));
+        if (!pending) return null;
+        clearTimeout(pending.timer);
+        this.#removePendingUnlink(pending);
+        return pending.data;
+    }
+
+    #removePendingUnlink(pending) {
+        const list = (this.#pendingUnlinks.get(pending.id) || []).filter(p => p !== pending);
+        if (list.length) this.#pendingUnlinks.set(pending.id, list);
+        else this.#pendingUnlinks.delete(pending.id);
+    }
+
+    #flushPendingUnlinks() {
+        for (const list of this.#pendingUnlinks.values()) {
+            for (const pending of list) {
+                clearTimeout(pending.timer);
+                this.#applyUnlink(pending.data);
             }
         }
+        this.#pendingUnlinks.clear();
     }
 }
+
+/**
+ * Locations with `location` added unless the same backend/key is already present
+ */
+function withLocation(locations = [], location) {
+    return locations.some(l => l.backend === location.backend && l.key === location.key)
+        ? locations
+        : [...locations, location];
+}
+
+/**
+ * Locations with `updates` applied: same backend/key entries are replaced, new ones appended
+ */
+function mergeLocations(locations = [], updates) {
+    const pending = [...updates];
+    const merged = locations.map(l => {
+        const i = pending.findIndex(u => u.backend === l.backend && u.key === l.key);
+        return i === -1 ? l : pending.splice(i, 1)[0];
+    });
+    return [...merged, ...pending];
+}
@@ -1,46 +1,110 @@
 import { open } from 'lmdb';
 import Debug from 'debug';
+import { globToRegExp } from '../utils/common.js';
 
 const debug = Debug('stored:index');
 
+// Highest code point: its UTF-8 bytes sort after any id or string field value,
+// including characters outside the Basic Multilingual Plane
+const MAX = '\u{10FFFF}';
+const DEFAULT_QUERY_LIMIT = 100;
+
 /**
- * LMDB-backed index mapping id (sha256:xxx) to metadata
+ * LMDB-backed index mapping id (sha256:xxx) to metadata.
+ *
+ * Secondary indexes live in the "fields" sub-database as ordered keys
+ * [field, value, id] (or [field, id] for flags), so equality, prefix and
+ * range queries are LMDB range scans:
+ *
+ *   mime, size, created, modified   record fields
+ *   backend                         one entry per backend holding a location
+ *   unsynced                        records with at least one pending location
+ *   custom:<name>                   primitive custom metadata (array items indexed individually)
+ *
+ * The "tree" sub-database mirrors keys as directories per backend:
+ * [backend, parent, name, 'f'] → { id, size } for files and
+ * [backend, parent, name, 'd'] → { files, size } for directories, with
+ * recursive totals (the root is [backend, null, '', 'd']). Totals are
+ * adjusted incrementally whenever a record's locations change.
  */
 export default class Index {
     #db;
     #pathDb;
+    #fieldDb;
+    #treeDb;
 
     constructor(path = './.stored-index') {
         this.#db = open({ path, name: 'metadata', compression: true });
         this.#pathDb = this.#db.openDB('paths');
+        this.#fieldDb = this.#db.openDB('fields');
+        this.#treeDb = this.#db.openDB('tree');
+
+        // Indexes created before secondary indexes existed
+        if (this.size > 0 && (this.#fieldDb.getKeysCount() === 0 || this.#treeDb.getKeysCount() === 0)) this.reindex();
         debug(`Index opened at ${path}`);
     }
 
     get size() { return this.#db.getKeysCount(); }
 
+    /**
+     * Open a named sub-database in the index environment (e.g. the sync queue)
+     */
+    openDB(name, options = {}) { return this.#db.openDB(name, options); }
+
     // ─────────────────────────────────────────────────────────────────────────
     // Core Operations
     // ─────────────────────────────────────────────────────────────────────────
 
+    /**
+     * Merge metadata into a record. The record, its path mappings and the
+     * secondary indexes are written in one transaction; paths of locations
+     * that were dropped are unmapped. A path belongs to one record at a time:
+     * a record that still lists a path taken over here loses that location
+     * (and is removed if it was its last).
+     */
     put(id, metadata) {
-        const existing = this.#db.get(id);
-        const meta = {
-            ...existing,
-            ...metadata,
-            id,
-            modified: Date.now(),
-            created: existing?.created || Date.now(),
-        };
-
-        this.#db.putSync(id, meta);
-
-        // Index by path for each location
-        for (const loc of meta.locations || []) {
-            this.#pathDb.putSync(`${loc.backend}:${loc.key}`, id);
-        }
+        return this.#db.transactionSync(() => {
+            const existing = this.#db.get(id);
+            const meta = {
+                ...existing,
+                ...metadata,
+                id,
+                modified: Date.now(),
+                created: existing?.created || Date.now(),
+            };
+
+            this.#db.putSync(id, meta);
+            this.#updateFields(existing, meta);
+            this.#updateTree(existing, meta);
+
+            const paths = new Set((meta.locations || []).map(pathOf));
+            for (const loc of existing?.locations || []) {
+                if (!paths.has(pathOf(loc))) this.#unmapPath(pathOf(loc), id);
+            }
+            for (const path of paths) {
+                const owner = this.#pathDb.get(path);
+                if (owner && owner !== id) this.#detachPath(owner, path);
+                this.#pathDb.putSync(path, id);
+            }
 
-        debug(`Indexed ${id.slice(0, 19)}...`);
-        return meta;
+            debug(`Indexed ${id.slice(0, 19)}...`);
+            return meta;
+        });
+    }
+
+    /** Run several index operations as one LMDB transaction (sync callback) */
+    transaction(fn) { return this.#db.transactionSync(fn); }
+
+    /**
+     * Read-modify-write a record in one transaction. `fn` receives the current
+     * record (or null) and returns the metadata to merge, or nothing to skip the write.
+     */
+    update(id, fn) {
+        return this.#db.transactionSync(() => {
+            const current = this.#db.get(id) || null;
+            const changes = fn(current);
+            return changes ? this.put(id, changes) : current;
+        });
     }
 
     get(idOrPath) {
@@ -58,16 +122,84 @@ export default class Index {
     }
 
     delete(id) {
+        return this.#db.transactionSync(() => {
+            const meta = this.#db.get(id);
+            if (!meta) return false;
+
+            for (const loc of meta.locations || []) this.#unmapPath(pathOf(loc), id);
+            this.#updateFields(meta, null);
+            this.#updateTree(meta, null);
+            this.#db.removeSync(id);
+            debug(`Removed ${id.slice(0, 19)}...`);
+            return true;
+        });
+    }
+
+    /**
+     * Rebuild the paths database from record locations, dropping dangling mappings
+     * @returns {number} paths mapped
+     */
+    rebuildPaths() {
+        return this.#db.transactionSync(() => {
+            this.#pathDb.clearSync();
+            let count = 0;
+            for (const { key: id, value } of this.#db.getRange()) {
+                for (const loc of value.locations || []) {
+                    this.#pathDb.putSync(pathOf(loc), id);
+                    count++;
+                }
+            }
+            debug(`Rebuilt ${count} path mappings`);
+            return count;
+        });
+    }
+
+    // Drop a path from a record that lost it to another one
+    #detachPath(id, path) {
         const meta = this.#db.get(id);
-        if (!meta) return false;
+        const locations = (meta?.locations || []).filter(l => pathOf(l) !== path);
+        if (!meta || locations.length === meta.locations.length) return;
+        if (locations.length) this.put(id, { locations });
+        else this.delete(id);
+    }
 
-        for (const loc of meta.locations || []) {
-            this.#pathDb.removeSync(`${loc.backend}:${loc.key}`);
-        }
+    // A path that moved on to another record keeps its newer mapping
+    #unmapPath(path, id) {
+        if (this.#pathDb.get(path) === id) this.#pathDb.removeSync(path);
+    }
+
+    /**
+     * Detach and attach locations of a record in one transaction, keeping the
+     * paths database in step. The record is removed once no location is left.
+     * Throws if an added path already belongs to another record.
+     *
+     * @param {string} id
+     * @param {{ add?: object[], remove?: { backend, key }[] }} changes
+     * @returns {object|null} the updated record, or null if it was removed
+     */
+    updateLocations(id, { add = [], remove = [] }) {
+        return this.#db.transactionSync(() => {
+            const meta = this.#db.get(id);
+            if (!meta) throw new Error(`Not found: ${id}`);
+
+            for (const loc of add) {
+                const owner = this.get(`${loc.backend}:${loc.key}`);
+                if (owner && owner.id !== id && owner.locations?.some(l => samePath(l, loc))) {
+                    throw new Error(`Key already in use: ${loc.backend}:${loc.key}`);
+                }
+            }
 
-        this.#db.removeSync(id);
-        debug(`Removed ${id.slice(0, 19)}...`);
-        return true;
+            const locations = (meta.locations || [])
+                .filter(l => !remove.some(r => samePath(l, r)) && !add.some(a => samePath(l, a)))
+                .concat(add);
+
+            for (const loc of remove) this.#unmapPath(pathOf(loc), id);
+            if (!locations.length) {
+                this.delete(id);
+                return null;
+            }
+            return this.put(id, { locations });
+        });
     }
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -76,14 +208,224 @@ export default class Index {
 
     findByBackend(backendName) {
         const results = [];
-        for (const { value } of this.#db.getRange()) {
-            if (value.locations?.some(l => l.backend === backendName)) {
-                results.push(value);
-            }
+        for (const { key } of this.#fieldDb.getRange(equals('backend', backendName))) {
+            const meta = this.#db.get(key[2]);
+            if (meta) results.push(meta);
         }
         return results;
     }
 
+    /**
+     * Backend names with at least one indexed location, in key order
+     */
+    backends() {
+        const names = [];
+        let start = ['backend'];
+        for (;;) {
+            const [entry] = this.#fieldDb.getRange({ start, end: ['backend\u0000'], limit: 1 });
+            if (!entry) return names;
+            names.push(entry.key[1]);
+            start = ['backend', entry.key[1], MAX];
+        }
+    }
+
+    /**
+     * Iterate indexed paths in key order as range scans over the paths database.
+     * Without a backend, each backend is walked in turn. Every entry carries a
+     * cursor that resumes the listing right after it.
+     *
+     * @yields {{ backend, key, meta, location, cursor }}
+     */
+    *paths({ backend, prefix = '', cursor } = {}) {
+        const after = cursor ? decodeCursor(cursor) : null;
+
+        for (const name of backend ? [backend] : this.backends()) {
+            if (after && name < after.backend) continue;
+
+            const base = `${name}:`;
+            const resume = after?.backend === name;
+            const start = base + (resume ? after.key : prefix);
+
+            for (const { key: pathKey, value: id } of this.#pathDb.getRange({ start, end: base + prefix + MAX })) {
+                if (resume && pathKey === start) continue;
+
+                // Paths are "backend:key" and both may contain ':' — trust only live locations
+                const key = pathKey.slice(base.length);
+                const meta = this.#db.get(id);
+                const location = meta?.locations?.find(l => l.backend === name && l.key === key);
+                if (location) yield { backend: name, key, meta, location, cursor: encodeCursor({ backend: name, key }) };
+            }
+        }
+    }
+
+    /**
+     * Query records by indexed fields. One condition drives an index range
+     * scan; the rest are checked against each candidate record.
+     *
+     * Filter: { mimeType ('image/*'), sizeGt, sizeGte, sizeLt, sizeLte,
+     *           modifiedSince, modifiedBefore, createdSince, createdBefore,
+     *           backend, synced, custom: { field: value }, limit, cursor }
+     *
+     * @returns {{ items: object[], cursor: string|null }} cursor is null on the last page
+     */
+    query(filter = {}) {
+        const limit = filter.limit ?? DEFAULT_QUERY_LIMIT;
+        const after = filter.cursor ? decodeCursor(filter.cursor) : null;
+        const { db, range } = this.#planQuery(filter);
+        const matches = compileFilter(filter);
+        const items = [];
+        let lastKey = null;
+        let cursor = null;
+
+        for (const { key, value } of db.getRange(after ? { ...range, start: after } : range)) {
+            if (after && sameKey(key, after)) continue;
+
+            const meta = db === this.#db ? value : this.#db.get(key.at(-1));
+            if (!meta || !matches(meta)) continue;
+
+            // Only hand out a cursor when another match actually follows
+            if (items.length >= limit) {
+                cursor = encodeCursor(lastKey);
+                break;
+            }
+            items.push(meta);
+            lastKey = key;
+        }
+
+        return { items, cursor };
+    }
+
+    /**
+     * Rebuild the secondary indexes and directory tree from the metadata records
+     */
+    reindex() {
+        return this.#db.transactionSync(() => {
+            this.#fieldDb.clearSync();
+            this.#treeDb.clearSync();
+            let count = 0;
+            for (const { value } of this.#db.getRange()) {
+                this.#updateFields(null, value);
+                this.#updateTree(null, value);
+                count++;
+            }
+            debug(`Reindexed ${count} records`);
+            return count;
+        });
+    }
+
+    #planQuery(filter) {
+        const fields = range => ({ db: this.#fieldDb, range });
+        const time = value => value instanceof Date ? value.getTime() : value;
+
+        if (filter.synced === false) return fields(field('unsynced'));
+        if (filter.backend) return fields(equals('backend', filter.backend));
+
+        const custom = Object.entries(filter.custom || {}).find(([, v]) => isIndexable(v));
+        if (custom) return fields(equals(`custom:${custom[0]}`, custom[1]));
+
+        if (filter.mimeType) {
+            const wildcard = filter.mimeType.indexOf('*');
+            if (wildcard === -1) return fields(equals('mime', filter.mimeType));
+            const prefix = filter.mimeType.slice(0, wildcard);
+            return fields(prefix ? { start: ['mime', prefix], end: ['mime', prefix + MAX] } : field('mime'));
+        }
+
+        const { sizeGt, sizeGte, sizeLt, sizeLte } = filter;
+        if ([sizeGt, sizeGte, sizeLt, sizeLte].some(v => v !== undefined)) {
+            return fields(bounds('size', { gt: sizeGt, gte: sizeGte, lt: sizeLt, lte: sizeLte }));
+        }
+        if (filter.modifiedSince !== undefined || filter.modifiedBefore !== undefined) {
+            return fields(bounds('modified', { gte: time(filter.modifiedSince), lt: time(filter.modifiedBefore) }));
+        }
+        if (filter.createdSince !== undefined || filter.createdBefore !== undefined) {
+            return fields(bounds('created', { gte: time(filter.createdSince), lt: time(filter.createdBefore) }));
+        }
+
+        return { db: this.#db, range: {} };
+    }
+
+    #updateFields(previous, next) {
+        const before = previous ? fieldKeys(previous) : [];
+        const after = next ? fieldKeys(next) : [];
+        const keep = new Set(after.map(k => JSON.stringify(k)));
+        const had = new Set(before.map(k => JSON.stringify(k)));
+
+        for (const key of before) if (!keep.has(JSON.stringify(key))) this.#fieldDb.removeSync(key);
+        for (const key of after) if (!had.has(JSON.stringify(key))) this.#fieldDb.putSync(key, true);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Directory tree
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Immediate children of a directory on one backend, in name order
+     * @returns {{ name, path, type: 'directory'|'file', size, files?, id? }[]}
+     */
+    readdir(backend, dir = '') {
+        const parent = normalizeDir(dir);
+        const entries = [];
+        for (const { key, value } of this.#treeDb.getRange({ start: [backend, parent], end: [backend, parent, MAX] })) {
+            const [, , name, kind] = key;
+            entries.push({
+                name,
+                path: parent ? `${parent}/${name}` : name,
+                type: kind === 'd' ? 'directory' : 'file',
+                ...value,
+            });
+        }
+        return entries;
+    }
+
+    /** Recursive totals of a directory on one backend, or null if it holds nothing */
+    dirStat(backend, dir = '') {
+        return this.#treeDb.get(dirKey(backend, normalizeDir(dir))) || null;
+    }
+
+    #updateTree(previous, next) {
+        const byPath = meta => new Map((meta?.locations || []).map(l => [`${l.backend}\u0000${l.key}`, l]));
+        const before = byPath(previous);
+        const after = byPath(next);
+
+        for (const [path, loc] of before) if (!after.has(path)) this.#removeFile(loc.backend, loc.key, previous.id);
+        for (const [path, loc] of after) if (!before.has(path)) this.#addFile(loc.backend, loc.key, next.id, next.size || 0);
+    }
+
+    #addFile(backend, key, id, size) {
+        const { parent, name } = splitKey(key);
+        if (!name) return;
+        const fileKey = [backend, parent, name, 'f'];
+        const existing = this.#treeDb.get(fileKey);
+        if (existing?.id === id) return;
+
+        // A key points at one blob at a time; the newest record wins
+        if (existing) this.#adjustDirs(backend, parent, -1, -existing.size);
+        this.#treeDb.putSync(fileKey, { id, size });
+        this.#adjustDirs(backend, parent, 1, size);
+    }
+
+    #removeFile(backend, key, id) {
+        const { parent, name } = splitKey(key);
+        const fileKey = [backend, parent, name, 'f'];
+        const existing = this.#treeDb.get(fileKey);
+        if (!existing || existing.id !== id) return;
+
+        this.#treeDb.removeSync(fileKey);
+        this.#adjustDirs(backend, parent, -1, -existing.size);
+    }
+
+    #adjustDirs(backend, dir, files, size) {
+        const segments = dir ? dir.split('/') : [];
+        for (let depth = 0; depth <= segments.length; depth++) {
+            const key = dirKey(backend, segments.slice(0, depth).join('/'));
+            const stat = this.#treeDb.get(key) || { files: 0, size: 0 };
+            stat.files += files;
+            stat.size += size;
+            if (stat.files > 0) this.#treeDb.putSync(key, stat);
+            else this.#treeDb.removeSync(key);
+        }
+    }
+
     *entries() {
         for (const { key, value } of this.#db.getRange()) {
             yield [key, value];
@@ -93,9 +435,127 @@ export default class Index {
     clear() {
         this.#db.clearSync();
         this.#pathDb.clearSync();
+        this.#fieldDb.clearSync();
+        this.#treeDb.clearSync();
     }
 
     close() {
         this.#db.close();
     }
 }
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Secondary index helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+function isIndexable(value) {
+    return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
+
+function fieldKeys(meta) {
+    const { id } = meta;
+    const keys = [];
+    const add = (name, value) => { if (isIndexable(value)) keys.push([name, value, id]); };
+
+    add('mime', meta.mimeType);
+    add('size', meta.size);
+    add('created', meta.created);
+    add('modified', meta.modified);
+
+    const locations = meta.locations || [];
+    for (const backend of new Set(locations.map(l => l.backend))) add('backend', backend);
+    if (locations.some(l => !l.synced)) keys.push(['unsynced', id]);
+
+    for (const [name, value] of Object.entries(meta.custom || {})) {
+        for (const item of Array.isArray(value) ? new Set(value) : [value]) add(`custom:${name}`, item);
+    }
+    return keys;
+}
+
+const field = name => ({ start: [name], end: [`${name}\u0000`] });
+const equals = (name, value) => ({ start: [name, value], end: [name, value, MAX] });
+
+function bounds(name, { gt, gte, lt, lte }) {
+    return {
+        start: gte !== undefined ? [name, gte] : gt !== undefined ? [name, gt, MAX] : [name],
+        end: lte !== undefined ? [name, lte, MAX] : lt !== undefined ? [name, lt] : [`${name}\u0000`],
+    };
+}
+
+function compileFilter(filter) {
+    const time = value => value instanceof Date ? value.getTime() : value;
+    const mime = filter.mimeType ? globToRegExp(filter.mimeType) : null;
+    const checks = [];
+
+    if (mime) checks.push(m => mime.test(m.mimeType || ''));
+    if (filter.sizeGt !== undefined) checks.push(m => m.size > filter.sizeGt);
+    if (filter.sizeGte !== undefined) checks.push(m => m.size >= filter.sizeGte);
+    if (filter.sizeLt !== undefined) checks.push(m => m.size < filter.sizeLt);
+    if (filter.sizeLte !== undefined) checks.push(m => m.size <= filter.sizeLte);
+    if (filter.modifiedSince !== undefined) checks.push(m => m.modified >= time(filter.modifiedSince));
+    if (filter.modifiedBefore !== undefined) checks.push(m => m.modified < time(filter.modifiedBefore));
+    if (filter.createdSince !== undefined) checks.push(m => m.created >= time(filter.createdSince));
+    if (filter.createdBefore !== undefined) checks.push(m => m.created < time(filter.createdBefore));
+
+    if (filter.backend || filter.synced !== undefined) {
+        checks.push(m => {
+            const locations = (m.locations || []).filter(l => !filter.backend || l.backend === filter.backend);
+            if (filter.synced === undefined) return locations.length > 0;
+            return filter.synced
+                ? locations.length > 0 && locations.every(l => l.synced)
+                : locations.some(l => !l.synced);
+        });
+    }
+
+    for (const [name, value] of Object.entries(filter.custom || {})) {
+        checks.push(m => {
+            const actual = m.custom?.[name];
+            return Array.isArray(actual) ? actual.includes(value) : actual === value;
+        });
+    }
+
+    return meta => checks.every(check => check(meta));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Directory tree helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+function normalizeDir(dir) {
+    return dir.split('/').filter(Boolean).join('/');
+}
+
+function splitKey(key) {
+    const segments = key.split('/').filter(Boolean);
+    return { parent: segments.slice(0, -1).join('/'), name: segments.at(-1) };
+}
+
+function dirKey(backend, dir) {
+    if (!dir) return [backend, null, '', 'd'];
+    const { parent, name } = splitKey(dir);
+    return [backend, parent, name, 'd'];
+}
+
+function pathOf(location) {
+    return `${location.backend}:${location.key}`;
+}
+
+function samePath(a, b) {
+    return a.backend === b.backend && a.key === b.key;
+}
+
+function sameKey(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch {
+        throw new Error(`Invalid cursor: ${cursor}`);
+    }
+}
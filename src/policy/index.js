@@ -0,0 +1,97 @@
+import Debug from 'debug';
+import { parseSize, globToRegExp } from '../utils/common.js';
+
+const debug = Debug('stored:policy');
+
+/**
+ * Declarative replication policies.
+ *
+ * Policy: {
+ *   name?,
+ *   match?: { mimeType?: 'image/*', prefix?: 'docs/', minSize?, maxSize?, custom?: { tag: 'x' } },
+ *   minReplicas?: 2,       // distinct backends holding a copy (synced, or pending without errors)
+ *   minRemote?: 1,         // of which remote
+ *   backends?: ['s3:x'],   // placement: always keep a copy on these backends
+ * }
+ *
+ * Every matching policy applies; minimums take the maximum, placements the union.
+ */
+export default class ReplicationPolicy {
+    #policies;
+
+    constructor(policies = []) {
+        this.#policies = policies.map((policy, i) => ({
+            ...policy,
+            name: policy.name || `policy-${i}`,
+            match: compileMatch(policy.match || {}),
+        }));
+        debug(`Loaded ${this.#policies.length} replication policies`);
+    }
+
+    get enabled() { return this.#policies.length > 0; }
+
+    /** Policies that apply to an index record */
+    match(meta) {
+        return this.#policies.filter(p => p.match(meta));
+    }
+
+    /**
+     * Backends a record still needs to satisfy its policies.
+     * @param {object} meta - index record
+     * @param {{ name: string, type: string }[]} backends - registered backends, in preference order
+     * @returns {{ policies: string[], add: string[], satisfied: boolean }}
+     */
+    plan(meta, backends) {
+        const rules = this.match(meta);
+        if (!rules.length) return { policies: [], add: [], satisfied: true };
+
+        const byName = new Map(backends.map(b => [b.name, b]));
+        const locations = (meta.locations || []).filter(l => byName.has(l.backend));
+        // A pending upload that already failed is no copy, but retrying it is the queue's job
+        const present = new Set(locations.filter(l => l.synced || !l.lastError).map(l => l.backend));
+        const failing = new Set(locations.map(l => l.backend).filter(name => !present.has(name)));
+        const add = [];
+        const holds = name => present.has(name) || failing.has(name) || add.includes(name);
+
+        for (const name of rules.flatMap(r => r.backends || [])) {
+            if (byName.has(name) && !holds(name)) add.push(name);
+        }
+
+        const minReplicas = Math.max(0, ...rules.map(r => r.minReplicas || 0));
+        const minRemote = Math.max(0, ...rules.map(r => r.minRemote || 0));
+        const count = () => present.size + add.length;
+        const remoteCount = () => [...present, ...add].filter(name => byName.get(name).type !== 'local').length;
+
+        for (const b of backends) {
+            if (remoteCount() >= minRemote) break;
+            if (b.type !== 'local' && !holds(b.name)) add.push(b.name);
+        }
+        for (const b of backends) {
+            if (count() >= minReplicas) break;
+            if (!holds(b.name)) add.push(b.name);
+        }
+
+        return {
+            policies: rules.map(r => r.name),
+            add,
+            satisfied: count() >= minReplicas && remoteCount() >= minRemote,
+        };
+    }
+}
+
+function compileMatch(match) {
+    const mime = match.mimeType ? globToRegExp(match.mimeType) : null;
+    const minSize = parseSize(match.minSize);
+    const maxSize = parseSize(match.maxSize);
+
+    return (meta) => {
+        if (mime && !mime.test(meta.mimeType || '')) return false;
+        if (minSize !== null && !(meta.size >= minSize)) return false;
+        if (maxSize !== null && !(meta.size <= maxSize)) return false;
+        if (match.prefix && !(meta.locations || []).some(l => l.key?.startsWith(match.prefix))) return false;
+        for (const [field, value] of Object.entries(match.custom || {})) {
+            if (meta.custom?.[field] !== value) return false;
+        }
+        return true;
+    };
+}
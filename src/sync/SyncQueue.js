@@ -4,33 +4,297 @@ import Debug from 'debug';
 
 const debug = Debug('stored:sync');
 
+const DEFAULTS = {
+    maxAttempts: 5,
+    retryDelay: 1000,
+    backoffFactor: 2,
+    maxRetryDelay: 5 * 60 * 1000,
+    keepCompleted: false,
+};
+
 /**
- * Background sync queue for remote backend writes.
- * Uses a worker thread (lazily spawned) to avoid blocking the main thread.
+ * Persistent background sync queue for remote backend writes.
+ *
+ * Jobs live in an LMDB database (a sub-db of the Index) keyed by a monotonic
+ * sequence number, so they are processed in insertion order and survive
+ * restarts. Failed targets are retried with exponential backoff until
+ * maxAttempts is reached, after which the job is kept as "failed".
+ * A worker thread (lazily spawned) does the actual writes.
+ *
+ * Job: { seq, id, cacheRoot, cacheKey, targets, status, attempts, maxAttempts,
+ *        created, updated, lastAttempt, nextAttempt, lastError }
+ * Target: { name, driver, key, module, config }. With `config.resolveTarget`,
+ * targets are stored as { name, driver, key } only and the driver module and
+ * backend config are added when the job is handed to the worker, so
+ * credentials never reach the database. A job with a target the resolver
+ * returns null for waits, without using an attempt, until start() is called
+ * again once that backend is available.
+ *
+ * Nothing is processed before the first enqueue() or start(): jobs resumed
+ * from the database wait until their owner has registered its backends.
+ *
+ * Events: start (job), synced ({ id, results, job }), completed (job),
+ *         retry ({ job, delay }), failed (job), error (err)
  */
 export default class SyncQueue extends EventEmitter {
+    #db;
+    #config;
+    #resolveTarget;
     #worker = null;
+    #active = null;
+    // "backend:key" targets of the active job cancelled while it runs; never retried
+    #cancelled = new Set();
+    #timer = null;
+    #started = false;
+    #stopped = false;
+    #seq = 0;
+
+    constructor(config = {}) {
+        super();
+        if (!config.db) throw new Error('SyncQueue requires an LMDB database');
+        this.#db = config.db;
+        this.#resolveTarget = config.resolveTarget || null;
+        this.#config = {
+            maxAttempts: config.maxAttempts ?? DEFAULTS.maxAttempts,
+            retryDelay: config.retryDelay ?? DEFAULTS.retryDelay,
+            backoffFactor: config.backoffFactor ?? DEFAULTS.backoffFactor,
+            maxRetryDelay: config.maxRetryDelay ?? DEFAULTS.maxRetryDelay,
+            keepCompleted: config.keepCompleted ?? DEFAULTS.keepCompleted,
+        };
+
+        for (const key of this.#db.getKeys({ reverse: true, limit: 1 })) this.#seq = key;
+        this.#recover();
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Queue API
+    // ─────────────────────────────────────────────────────────────────────────
 
     enqueue(job) {
-        if (!this.#worker) this.#spawnWorker();
-        this.#worker.postMessage(job);
+        const now = Date.now();
+        const record = {
+            ...job,
+            seq: ++this.#seq,
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: job.maxAttempts ?? this.#config.maxAttempts,
+            created: now,
+            updated: now,
+            lastAttempt: null,
+            nextAttempt: now,
+            lastError: null,
+        };
+
+        this.#db.putSync(record.seq, record);
+        debug(`Enqueued job #${record.seq} (${record.id?.slice(0, 19)}...)`);
+        this.start();
+        return record;
+    }
+
+    /**
+     * Start (or re-check) processing: pending jobs, including ones held back
+     * for a backend that was not available before, are picked up
+     */
+    start() {
+        this.#started = true;
+        this.#schedule();
+    }
+
+    get(seq) { return this.#db.get(seq) || null; }
+
+    *jobs(options = {}) {
+        const { status } = options;
+        for (const { value } of this.#db.getRange()) {
+            if (!status || value.status === status) yield value;
+        }
+    }
+
+    stats() {
+        const stats = { pending: 0, active: 0, completed: 0, failed: 0 };
+        for (const job of this.jobs()) stats[job.status]++;
+        return stats;
+    }
+
+    /**
+     * Re-queue a failed job (or all failed jobs) with a fresh attempt budget.
+     */
+    retry(seq) {
+        const jobs = seq === undefined ? [...this.jobs({ status: 'failed' })] : [this.get(seq)].filter(Boolean);
+        for (const job of jobs) {
+            this.#update(job, { status: 'pending', attempts: 0, nextAttempt: Date.now() });
+        }
+        this.#schedule();
+        return jobs.length;
+    }
+
+    remove(seq) {
+        if (this.#active?.seq === seq) return false;
+        return this.#db.removeSync(seq);
+    }
+
+    /**
+     * Drop one backend key from every job that has not written it yet; jobs left
+     * without targets are removed. Returns true when the active job is writing
+     * that key right now: its result still arrives, but it is not retried.
+     */
+    cancel(backend, key) {
+        let active = false;
+        for (const job of [...this.jobs()]) {
+            if (job.status === 'completed') continue;
+            const targets = job.targets.filter(t => t.name !== backend || t.key !== key);
+            if (targets.length === job.targets.length) continue;
+
+            if (job.seq === this.#active?.seq) {
+                active = true;
+                this.#cancelled.add(`${backend}:${key}`);
+                this.#update(job, { targets });
+            } else if (targets.length) {
+                this.#update(job, { targets });
+            } else {
+                this.#db.removeSync(job.seq);
+            }
+            debug(`Cancelled ${backend}:${key} in job #${job.seq}`);
+        }
+        return active;
     }
 
     async stop() {
+        this.#stopped = true;
+        clearTimeout(this.#timer);
+        this.#timer = null;
         if (this.#worker) {
+            // In-flight job stays "active" and is picked up again on restart
             await this.#worker.terminate();
             this.#worker = null;
         }
+        this.#active = null;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Private — processing loop
+    // ─────────────────────────────────────────────────────────────────────────
+
+    #recover() {
+        let pending = 0;
+        for (let job of [...this.jobs()]) {
+            if (job.status === 'active') job = this.#update(job, { status: 'pending' });
+            // Jobs written by older versions carried the backend config; it is resolved at dispatch now
+            if (this.#resolveTarget && job.targets.some(t => 'config' in t)) {
+                job = this.#update(job, { targets: job.targets.map(({ module, config, ...target }) => target) });
+            }
+            if (job.status === 'pending') pending++;
+        }
+        if (pending) debug(`${pending} pending sync job(s) waiting for start()`);
+    }
+
+    #schedule() {
+        if (!this.#started || this.#stopped || this.#active) return;
+        clearTimeout(this.#timer);
+        this.#timer = null;
+
+        const now = Date.now();
+        let next = null;
+        let targets = null;
+        let wakeAt = Infinity;
+
+        for (const job of this.jobs({ status: 'pending' })) {
+            targets = this.#resolve(job);
+            if (!targets) continue;
+            if (job.nextAttempt <= now) { next = job; break; }
+            wakeAt = Math.min(wakeAt, job.nextAttempt);
+        }
+
+        if (next) return this.#run(next, targets);
+        if (wakeAt !== Infinity) {
+            this.#timer = setTimeout(() => this.#schedule(), wakeAt - now);
+            this.#timer.unref();
+        }
+    }
+
+    // Worker-ready targets of a job, or null while one of its backends cannot be resolved
+    #resolve(job) {
+        if (!this.#resolveTarget) return job.targets;
+        const targets = job.targets.map(t => this.#resolveTarget(t));
+        return targets.every(Boolean) ? targets : null;
+    }
+
+    #run(job, targets) {
+        if (!this.#worker) this.#spawnWorker();
+        this.#active = this.#update(job, { status: 'active' });
+        this.#cancelled.clear();
+        this.emit('start', this.#active);
+
+        const { seq, id, cacheRoot, cacheKey } = this.#active;
+        this.#worker.postMessage({ seq, id, cacheRoot, cacheKey, targets });
+    }
+
+    #complete(seq, results) {
+        const job = this.#db.get(seq);
+        this.#active = null;
+        if (!job || this.#stopped) return;
+
+        const now = Date.now();
+        const attempts = job.attempts + 1;
+        const failed = results.filter(r => !r.success && !this.#cancelled.has(`${r.backend}:${r.key}`));
+        let updated;
+
+        if (!failed.length) {
+            updated = this.#update(job, { status: 'completed', attempts, lastAttempt: now, lastError: null });
+            if (!this.#config.keepCompleted) this.#db.removeSync(seq);
+            debug(`Job #${seq} completed after ${attempts} attempt(s)`);
+        } else {
+            const lastError = failed.map(r => `${r.backend}: ${r.error}`).join('; ');
+            // Only retry the targets that failed; one backend may take several keys
+            const targets = job.targets.filter(t => failed.some(r => r.backend === t.name && r.key === t.key));
+
+            if (attempts >= job.maxAttempts) {
+                updated = this.#update(job, { status: 'failed', attempts, targets, lastAttempt: now, lastError });
+                debug(`Job #${seq} failed permanently: ${lastError}`);
+            } else {
+                const delay = this.#backoff(attempts);
+                updated = this.#update(job, {
+                    status: 'pending', attempts, targets, lastAttempt: now, nextAttempt: now + delay, lastError,
+                });
+                debug(`Job #${seq} attempt ${attempts} failed, retrying in ${delay}ms`);
+            }
+        }
+
+        this.emit('synced', { id: job.id, results, job: updated });
+        if (updated.status === 'completed') this.emit('completed', updated);
+        else if (updated.status === 'failed') this.emit('failed', updated);
+        else this.emit('retry', { job: updated, delay: updated.nextAttempt - now });
+
+        this.#schedule();
+    }
+
+    #backoff(attempts) {
+        const { retryDelay, backoffFactor, maxRetryDelay } = this.#config;
+        return Math.min(maxRetryDelay, retryDelay * backoffFactor ** (attempts - 1));
+    }
+
+    #update(job, changes) {
+        const updated = { ...job, ...changes, updated: Date.now() };
+        this.#db.putSync(job.seq, updated);
+        return updated;
     }
 
     #spawnWorker() {
         this.#worker = new Worker(new URL('./worker.js', import.meta.url));
         this.#worker.on('message', (msg) => {
-            debug(`Sync complete: ${msg.id?.slice(0, 19)}... → ${msg.results.map(r => `${r.backend}:${r.success}`).join(', ')}`);
-            this.emit('synced', msg);
+            debug(`Sync result: ${msg.id?.slice(0, 19)}... → ${msg.results.map(r => `${r.backend}:${r.success}`).join(', ')}`);
+            this.#complete(msg.seq, msg.results);
         });
         this.#worker.on('error', (err) => {
             debug(`Worker error: ${err.message}`);
+            this.#worker = null;
+
+            // The worker is gone; count the in-flight job as a failed attempt
+            const active = this.#active;
+            if (active) {
+                this.#complete(active.seq, active.targets.map(t => ({
+                    backend: t.name, key: t.key, success: false, error: `Worker error: ${err.message}`,
+                })));
+            }
             this.emit('error', err);
         });
     }
@@ -1,37 +1,55 @@
 import { parentPort } from 'worker_threads';
+import { Readable } from 'stream';
 import cacache from 'cacache';
-import { mkdir, writeFile } from 'fs/promises';
-import { dirname, join } from 'path';
 
-parentPort.on('message', async ({ id, cacheRoot, cacheKey, targets }) => {
+// Driver classes imported from their module specifiers, keyed by specifier
+const drivers = new Map();
+
+async function loadDriver(module) {
+    if (!drivers.has(module)) drivers.set(module, import(module).then(m => m.default));
+    return drivers.get(module);
+}
+
+// Cache content, opened only once the driver starts reading so a read error reaches its consumer
+async function* readContent(cacheRoot, integrity) {
+    try {
+        yield* cacache.get.stream.byDigest(cacheRoot, integrity);
+    } catch (err) {
+        throw new Error(`Cache read failed: ${err.message}`);
+    }
+}
+
+parentPort.on('message', async ({ seq, id, cacheRoot, cacheKey, targets }) => {
     const results = [];
 
     try {
-        const { data } = await cacache.get(cacheRoot, cacheKey);
+        const info = await cacache.get.info(cacheRoot, cacheKey);
+        if (!info) throw new Error(`no cache entry for ${cacheKey}`);
+        const { metadata = {}, integrity, size } = info;
 
         for (const target of targets) {
             try {
-                switch (target.driver) {
-                    case 'file': {
-                        const filePath = join(target.root, target.key);
-                        await mkdir(dirname(filePath), { recursive: true });
-                        await writeFile(filePath, data);
-                        results.push({ backend: target.name, key: target.key, success: true });
-                        break;
-                    }
-                    // Future: 's3', 'smb', etc.
-                    default:
-                        results.push({ backend: target.name, success: false, error: `Unknown driver: ${target.driver}` });
+                if (!target.module) throw new Error(`Unknown driver: ${target.driver}`);
+                const Driver = await loadDriver(target.module);
+
+                const backend = new Driver(target.name, target.config);
+                try {
+                    // Every target gets its own stream straight from cache content
+                    const stream = Readable.from(readContent(cacheRoot, integrity), { objectMode: false });
+                    await backend.put(target.key, stream, { size, checksums: metadata.checksums, mimeType: metadata.mimeType });
+                } finally {
+                    await backend.stop();
                 }
+                results.push({ backend: target.name, key: target.key, success: true });
             } catch (err) {
-                results.push({ backend: target.name, success: false, error: err.message });
+                results.push({ backend: target.name, key: target.key, success: false, error: err.message });
             }
         }
     } catch (err) {
         for (const target of targets) {
-            results.push({ backend: target.name, success: false, error: `Cache read failed: ${err.message}` });
+            results.push({ backend: target.name, key: target.key, success: false, error: `Cache read failed: ${err.message}` });
         }
     }
 
-    parentPort.postMessage({ id, results });
+    parentPort.postMessage({ seq, id, results });
 });
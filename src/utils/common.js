@@ -21,3 +21,34 @@ export function isBuffer(input) {
 export function isStream(input) {
     return input && typeof input.pipe === 'function';
 }
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+/**
+ * Parse a byte size ("512MB", "1.5 GB", 1024) into a number of bytes; null if unset
+ */
+export function parseSize(input) {
+    if (input === undefined || input === null) return null;
+    if (typeof input === 'number') return input;
+    const match = String(input).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/);
+    if (!match) throw new Error(`Invalid size: ${input}`);
+    return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Compile a simple glob ("image/*") into an anchored RegExp
+ */
+export function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Whether a file still matches a fingerprint recorded by an earlier scan.
+ * Every field of the stored fingerprint must be present and equal.
+ */
+export function sameFingerprint(stored, current) {
+    if (!stored || !current) return false;
+    const fields = Object.keys(stored);
+    return fields.length > 0 && fields.every(field => stored[field] != null && stored[field] === current[field]);
+}
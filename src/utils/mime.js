@@ -1,6 +1,9 @@
 import { fileTypeFromBuffer, fileTypeFromFile } from 'file-type';
 import path from 'path';
 
+// Leading bytes needed for magic-byte detection (file-type's reasonable detection size)
+export const MIME_SAMPLE_SIZE = 4100;
+
 // Extension-based MIME types for common text/code files (magic bytes don't work for these)
 const TEXT_MIME_TYPES = {
     '.txt': 'text/plain',
@@ -0,0 +1,24 @@
+/**
+ * Serializes async work per key: tasks for the same key run one after
+ * another in call order, tasks for different keys run concurrently.
+ * Not reentrant — a task must not wait on another task for its own key.
+ */
+export class KeyedMutex {
+    #tails = new Map();
+
+    get size() { return this.#tails.size; }
+
+    run(key, fn) {
+        const previous = this.#tails.get(key) || Promise.resolve();
+        const result = previous.then(() => fn());
+
+        // The chain only tracks completion; errors belong to the caller
+        const tail = result.then(() => {}, () => {});
+        this.#tails.set(key, tail);
+        tail.then(() => {
+            if (this.#tails.get(key) === tail) this.#tails.delete(key);
+        });
+
+        return result;
+    }
+}
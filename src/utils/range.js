@@ -0,0 +1,48 @@
+import { Transform } from 'stream';
+
+/**
+ * Validate a { start, end } byte range (end inclusive) against a blob size.
+ * A missing end means "to the end of the blob"; end is clamped to size - 1.
+ */
+export function normalizeRange(range = {}, size) {
+    const start = range.start ?? 0;
+    const end = Math.min(range.end ?? size - 1, size - 1);
+
+    if (!Number.isInteger(start) || start < 0 || (range.end !== undefined && !Number.isInteger(range.end))) {
+        throw new RangeError(`Invalid range: ${JSON.stringify(range)}`);
+    }
+    if (start >= size || end < start) {
+        throw new RangeError(`Range not satisfiable: ${start}-${range.end ?? ''} of ${size}`);
+    }
+    return { start, end };
+}
+
+/**
+ * Fallback for backends that cannot seek: skip to start, stop after end
+ */
+export function sliceStream(source, { start, end }) {
+    let offset = 0;
+    const slice = new Transform({
+        transform(chunk, encoding, callback) {
+            const chunkStart = offset;
+            offset += chunk.length;
+            if (offset <= start || chunkStart > end) return callback();
+
+            this.push(chunk.subarray(Math.max(0, start - chunkStart), end - chunkStart + 1));
+            if (offset > end) {
+                // Done — stop reading the rest of the source
+                this.push(null);
+                source.destroy();
+            }
+            callback();
+        },
+    });
+    source.on('error', err => slice.destroy(err));
+    return source.pipe(slice);
+}
+
+export async function streamToBuffer(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+}
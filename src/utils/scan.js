@@ -0,0 +1,49 @@
+// Minimum time between two scan:progress events of one scan
+export const PROGRESS_INTERVAL = 1000;
+
+/**
+ * Map an async iterable with up to `concurrency` calls of `fn` in flight,
+ * yielding results in source order. The signal is checked before every item.
+ */
+export async function* mapOrdered(source, concurrency, fn, signal) {
+    const pending = [];
+    for await (const item of source) {
+        signal?.throwIfAborted();
+        const result = fn(item);
+        result.catch(() => {}); // rethrown when its turn comes
+        pending.push(result);
+        if (pending.length >= concurrency) yield await pending.shift();
+    }
+    while (pending.length) {
+        signal?.throwIfAborted();
+        yield await pending.shift();
+    }
+}
+
+/**
+ * Running totals of a backend scan, emitted on the backend as scan:progress
+ * at most every `interval` ms and once more when the scan finishes
+ */
+export function scanProgress(backend, interval = PROGRESS_INTERVAL) {
+    const totals = { backend: backend.name, files: 0, bytes: 0, hashed: 0 };
+    let last = 0;
+
+    return {
+        totals,
+        add(entry) {
+            totals.files++;
+            totals.bytes += entry.size || 0;
+            if (!entry.unchanged) totals.hashed++;
+
+            const now = Date.now();
+            if (now - last >= interval) {
+                last = now;
+                backend.emit('scan:progress', { ...totals });
+            }
+        },
+        done() {
+            backend.emit('scan:progress', { ...totals });
+            backend.emit('scan:complete', { backend: backend.name, count: totals.files, unchanged: totals.files - totals.hashed });
+        },
+    };
+}
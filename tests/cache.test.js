@@ -0,0 +1,172 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import { setTimeout as sleep } from 'timers/promises';
+import Cache from '../src/cache/index.js';
+import Stored from '../src/index.js';
+import FileBackend from '../src/backends/file/index.js';
+import RemoteFileBackend from './fixtures/remote-file-driver.js';
+import { parseSize } from '../src/utils/common.js';
+
+const CACHE_DIR = './test-cache';
+const INDEX_DIR = './test-cache-index';
+
+const blob = (size, fill) => Buffer.alloc(size, fill);
+
+describe('Cache', async () => {
+    after(async () => {
+        await fs.remove(CACHE_DIR);
+        await fs.remove(INDEX_DIR);
+        await fs.remove(INDEX_DIR + '-cache');
+    });
+
+    test('parseSize() understands units', () => {
+        assert.strictEqual(parseSize('1KB'), 1024);
+        assert.strictEqual(parseSize('1.5 MB'), 1.5 * 1024 * 1024);
+        assert.strictEqual(parseSize(42), 42);
+        assert.strictEqual(parseSize(undefined), null);
+        assert.throws(() => parseSize('lots'));
+    });
+
+    describe('maxSize', () => {
+        let cache;
+
+        before(async () => {
+            await fs.remove(CACHE_DIR);
+            cache = new Cache({ path: CACHE_DIR, maxSize: 300 });
+        });
+
+        test('evicts least recently used entries when the limit is exceeded', async () => {
+            for (const key of ['a', 'b', 'c']) {
+                await cache.put(key, blob(100, key));
+                await sleep(5);
+            }
+            await cache.get('a');
+
+            await cache.put('d', blob(100, 'd'));
+            const keys = Object.keys(await cache.list()).sort();
+            assert.deepStrictEqual(keys, ['a', 'c', 'd']);
+            assert.ok((await cache.stats()).size <= 300);
+        });
+
+        test('never evicts the entry that was just written', async () => {
+            await cache.put('big', blob(400, 'x'));
+            assert.ok(await cache.getInfo('big'));
+        });
+    });
+
+    describe('evict()', () => {
+        let cache;
+
+        before(async () => {
+            await fs.remove(CACHE_DIR);
+            cache = new Cache({ path: CACHE_DIR, isEvictable: key => key !== 'pinned' });
+            await cache.put('docs-1', blob(10, 1), { key: 'docs/one.txt' });
+            await cache.put('docs-2', blob(20, 2), { key: 'docs/two.txt' });
+            await cache.put('media-1', blob(500, 3), { key: 'media/video.mp4' });
+            await cache.put('pinned', blob(1000, 4), { key: 'media/pinned.mp4' });
+        });
+
+        test('evicts by pattern on id or key', async () => {
+            const { evicted, freed } = await cache.evict(/^docs\//);
+            assert.deepStrictEqual(evicted.sort(), ['docs-1', 'docs-2']);
+            assert.strictEqual(freed, 30);
+        });
+
+        test('evicts oversized entries but respects isEvictable', async () => {
+            const { evicted } = await cache.evict('oversized', { maxEntrySize: 100 });
+            assert.deepStrictEqual(evicted, ['media-1']);
+            assert.ok(await cache.getInfo('pinned'));
+        });
+
+        test('evicts a number of oldest entries', async () => {
+            await cache.put('old', blob(1, 5));
+            await sleep(5);
+            await cache.put('new', blob(1, 6));
+            const { evicted } = await cache.evict('oldest', { count: 1 });
+            assert.deepStrictEqual(evicted, ['old']);
+        });
+    });
+
+    describe('Stored integration', () => {
+        test('keeps blobs with unsynced locations', async () => {
+            const stored = new Stored({ index: { path: INDEX_DIR }, cache: { maxSize: '1KB' } });
+            const meta = await stored.put(Buffer.from('pending remote sync'));
+            stored.index.put(meta.id, { locations: [{ backend: 's3:offline', key: 'k', synced: false }] });
+
+            const { evicted } = await stored.cache.evict('lru', { maxSize: 0 });
+            assert.ok(!evicted.includes(meta.id));
+            assert.ok(await stored.cache.getInfo(meta.id));
+
+            stored.index.put(meta.id, { locations: [{ backend: 's3:offline', key: 'k', synced: true }] });
+            assert.ok((await stored.cache.evict('lru', { maxSize: 0 })).evicted.includes(meta.id));
+            await stored.stop();
+        });
+
+        test('does not evict a blob that is still being written to its backends', async () => {
+            class SlowFileBackend extends FileBackend {
+                async put(...args) {
+                    await sleep(150);
+                    return super.put(...args);
+                }
+            }
+            const root = CACHE_DIR + '-ingest';
+            const stored = new Stored({
+                index: { path: INDEX_DIR + '-ingest' },
+                cache: { maxSize: 150 },
+                drivers: { 'slow-file': SlowFileBackend, 'remote-file': RemoteFileBackend },
+            });
+            stored.addBackend('fs:slow', { driver: 'slow-file', root: `${root}/slow` });
+            stored.addBackend('remote:r', { driver: 'remote-file', root: `${root}/remote` });
+
+            try {
+                const first = stored.put(blob(100, 'A'), { backends: ['fs:slow', 'remote:r'] });
+                await sleep(50); // A is cached, its local write still running
+                const { cache: collected } = await stored.gc({ dryRun: true });
+                await stored.put(blob(100, 'B'), { backends: ['remote:r'] });
+                const a = await first;
+
+                assert.ok(await stored.cache.getInfo(a.id), 'A was evicted before it was indexed');
+                assert.ok(!collected.includes(a.id), 'A was collected before it was indexed');
+            } finally {
+                await stored.stop();
+                await fs.remove(root);
+                await fs.remove(INDEX_DIR + '-ingest');
+                await fs.remove(INDEX_DIR + '-ingest-cache');
+            }
+        });
+
+        test('tracks hits, misses and fills and persists them across restarts', async () => {
+            const root = CACHE_DIR + '-backend';
+            let stored = new Stored({ index: { path: INDEX_DIR } });
+            stored.addBackend('fs:stats', { driver: 'file', root });
+            stored.cache.resetStats();
+
+            const meta = await stored.put(Buffer.from('hit me'), { key: 'stats.txt' });
+            assert.strictEqual((await stored.get(meta.id)).toString(), 'hit me');
+
+            await stored.cache.delete(meta.id);
+            assert.strictEqual((await stored.get(meta.id)).toString(), 'hit me');
+            await sleep(50); // cache-on-read is fire-and-forget
+
+            let stats = await stored.cache.stats();
+            assert.strictEqual(stats.hits, 1);
+            assert.strictEqual(stats.misses, 1);
+            assert.strictEqual(stats.fills, 1);
+            assert.strictEqual(stats.bytesHit, 6);
+            assert.strictEqual(stats.bytesMissed, 6);
+            assert.strictEqual(stats.hitRate, 0.5);
+            const accessed = stored.cache.lastAccess(meta.id);
+            assert.ok(accessed);
+
+            await stored.stop();
+            stored = new Stored({ index: { path: INDEX_DIR } });
+            stats = await stored.cache.stats();
+            assert.strictEqual(stats.hits, 1);
+            assert.strictEqual(stats.fills, 1);
+            assert.strictEqual(stored.cache.lastAccess(meta.id), accessed);
+            await stored.stop();
+            await fs.remove(root);
+        });
+    });
+});
@@ -0,0 +1,141 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import Stored from '../src/index.js';
+import { KeyedMutex } from '../src/utils/mutex.js';
+import { checksumBuffer } from '../src/utils/checksum.js';
+
+const TEST_DIR = './test-concurrency';
+const INDEX_DIR = './test-concurrency-index';
+
+describe('KeyedMutex', () => {
+    test('runs tasks per key in order and other keys concurrently', async () => {
+        const mutex = new KeyedMutex();
+        const log = [];
+        const task = (name, ms) => async () => {
+            log.push(`${name}:start`);
+            await sleep(ms);
+            log.push(`${name}:end`);
+        };
+
+        await Promise.all([
+            mutex.run('a', task('a1', 20)),
+            mutex.run('a', task('a2', 1)),
+            mutex.run('b', task('b1', 1)),
+        ]);
+
+        assert.ok(log.indexOf('a1:end') < log.indexOf('a2:start'));
+        assert.ok(log.indexOf('b1:end') < log.indexOf('a1:end'));
+        assert.strictEqual(mutex.size, 0);
+    });
+
+    test('a failing task does not block the next one', async () => {
+        const mutex = new KeyedMutex();
+        await assert.rejects(mutex.run('k', async () => { throw new Error('boom'); }), /boom/);
+        assert.strictEqual(await mutex.run('k', async () => 'next'), 'next');
+    });
+});
+
+describe('Concurrent updates', async () => {
+    let stored;
+    let backend;
+    const CONTENT = Buffer.from('shared by every key');
+    let checksums;
+
+    const keysOf = id => (stored.stat(id)?.locations || []).map(l => l.key).sort();
+
+    // Simulates the watcher reporting a file a user dropped into the backend
+    const userAdd = async key => {
+        await fs.outputFile(path.join(TEST_DIR, key), CONTENT);
+        backend.emit('file:add', { backend: 'fs:c', key, checksums, size: CONTENT.length, mimeType: 'text/plain' });
+    };
+
+    const settle = async () => {
+        // Watcher events are queued behind API calls for the same id
+        for (let i = 0; i < 50; i++) await sleep(2);
+    };
+
+    before(async () => {
+        await fs.remove(TEST_DIR);
+        // moveWindow: 0 applies watcher unlinks immediately instead of waiting for a matching add
+        stored = new Stored({ index: { path: INDEX_DIR }, moveWindow: 0 });
+        backend = stored.addBackend('fs:c', { driver: 'file', root: TEST_DIR });
+        checksums = await checksumBuffer(CONTENT, ['sha256']);
+    });
+
+    after(async () => {
+        await stored.stop();
+        await fs.remove(TEST_DIR);
+        await fs.remove(INDEX_DIR);
+        await fs.remove(INDEX_DIR + '-cache');
+    });
+
+    test('parallel puts of the same content keep every key', async () => {
+        const keys = Array.from({ length: 25 }, (_, i) => `put/${String(i).padStart(2, '0')}.txt`);
+        const results = await Promise.all(keys.map(key => stored.put(CONTENT, { key })));
+
+        const id = results[0].id;
+        assert.ok(results.every(r => r.id === id));
+        assert.deepStrictEqual(keysOf(id).filter(k => k.startsWith('put/')), keys);
+        for (const key of keys) assert.ok(await fs.pathExists(path.join(TEST_DIR, key)));
+    });
+
+    test('watcher events during puts do not drop locations', async () => {
+        const apiKeys = Array.from({ length: 15 }, (_, i) => `mixed/api-${String(i).padStart(2, '0')}.txt`);
+        const userKeys = Array.from({ length: 15 }, (_, i) => `mixed/user-${String(i).padStart(2, '0')}.txt`);
+
+        await Promise.all(apiKeys.flatMap((key, i) => [
+            stored.put(CONTENT, { key }),
+            userAdd(userKeys[i]),
+        ]));
+        await settle();
+
+        const id = `sha256:${checksums.sha256}`;
+        assert.deepStrictEqual(keysOf(id).filter(k => k.startsWith('mixed/')), [...apiKeys, ...userKeys].sort());
+    });
+
+    test('interleaved puts, deletes and watcher events leave the index matching the disk', async () => {
+        const id = `sha256:${checksums.sha256}`;
+        const ops = [];
+        const expected = new Set(keysOf(id));
+
+        for (let i = 0; i < 40; i++) {
+            const key = `hammer/${String(i).padStart(2, '0')}.txt`;
+            if (i % 4 === 0) {
+                ops.push(userAdd(key));
+                expected.add(key);
+            } else if (i % 4 === 1) {
+                // put, then delete the same key while other work is in flight
+                ops.push(stored.put(CONTENT, { key }).then(() => stored.delete(`fs:c:${key}`)));
+            } else {
+                ops.push(stored.put(CONTENT, { key }));
+                expected.add(key);
+            }
+        }
+        await Promise.all(ops);
+        await settle();
+
+        assert.deepStrictEqual(keysOf(id), [...expected].sort());
+        for (const key of keysOf(id)) assert.ok(await fs.pathExists(path.join(TEST_DIR, key)), key);
+        assert.ok(await stored.cache.getInfo(id));
+    });
+
+    test('unlink events racing deletes and links stay consistent', async () => {
+        const id = `sha256:${checksums.sha256}`;
+        const before = keysOf(id).filter(k => k.startsWith('hammer/'));
+        const [gone, unlinked, ...rest] = before;
+
+        await fs.remove(path.join(TEST_DIR, gone));
+        backend.emit('file:unlink', { backend: 'fs:c', key: gone });
+        await Promise.all([
+            stored.unlink('fs:c', unlinked),
+            stored.link(id, { backend: 'fs:c', key: 'hammer/linked.txt' }),
+            stored.put(CONTENT, { key: 'hammer/late.txt' }),
+        ]);
+        await settle();
+
+        assert.deepStrictEqual(keysOf(id).filter(k => k.startsWith('hammer/')), [...rest, 'hammer/late.txt', 'hammer/linked.txt'].sort());
+    });
+});
@@ -0,0 +1,117 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import FileBackend from '../src/backends/file/index.js';
+import PathFilter, { compilePattern } from '../src/backends/file/filter.js';
+
+const TEST_DIR = './test-filter';
+
+const matches = (pattern, key) => compilePattern(pattern).regex.test(key);
+
+describe('compilePattern()', () => {
+    test('follows gitignore anchoring and wildcard rules', () => {
+        assert.ok(matches('*.log', 'deep/dir/debug.log'));
+        assert.ok(matches('/build', 'build'));
+        assert.ok(!matches('/build', 'src/build'));
+        assert.ok(matches('docs/**/*.md', 'docs/a/b/readme.md'));
+        assert.ok(matches('docs/**/*.md', 'docs/readme.md'));
+        assert.ok(matches('**/cache', 'a/b/cache'));
+        assert.ok(matches('photo[0-9].jpg', 'photo7.jpg'));
+        assert.ok(!matches('photo?.jpg', 'photo/.jpg'));
+        assert.strictEqual(compilePattern('# comment'), null);
+        assert.deepStrictEqual(
+            [compilePattern('!keep.log').negate, compilePattern('node_modules/').dirOnly],
+            [true, true],
+        );
+    });
+});
+
+describe('File backend filters', async () => {
+    const files = {
+        '.gitignore': 'node_modules/\n*.log\n!important.log\n',
+        '.git/HEAD': 'ref: refs/heads/main',
+        'node_modules/pkg/index.js': 'module.exports = 1;',
+        'app/debug.log': 'noise',
+        'app/important.log': 'kept by negation',
+        'app/main.js': 'console.log(1);',
+        'app/.storedignore': 'generated/\n',
+        'app/generated/out.js': 'built',
+        'photos/a.jpg': 'jpeg bytes',
+        'photos/huge.jpg': 'x'.repeat(4096),
+        'photos/notes.txt': 'not a photo',
+    };
+
+    const keysOf = async (backend, options) => {
+        const keys = [];
+        for await (const entry of backend.list(options)) keys.push(entry.key.split(path.sep).join('/'));
+        return keys.sort();
+    };
+
+    before(async () => {
+        await fs.remove(TEST_DIR);
+        for (const [key, content] of Object.entries(files)) await fs.outputFile(path.join(TEST_DIR, key), content);
+    });
+
+    after(async () => {
+        await fs.remove(TEST_DIR);
+    });
+
+    test('list() honours .gitignore and .storedignore files in the tree', async () => {
+        const backend = new FileBackend('fs:filter', { root: TEST_DIR });
+        assert.deepStrictEqual(await keysOf(backend), [
+            '.git/HEAD',
+            '.gitignore',
+            'app/.storedignore',
+            'app/important.log',
+            'app/main.js',
+            'photos/a.jpg',
+            'photos/huge.jpg',
+            'photos/notes.txt',
+        ]);
+        assert.deepStrictEqual(await keysOf(backend, { prefix: 'node_modules' }), []);
+    });
+
+    test('hidden, include, exclude and maxFileSize narrow the same walk', async () => {
+        const backend = new FileBackend('fs:filter', {
+            root: TEST_DIR,
+            hidden: false,
+            include: ['*.jpg', '*.js'],
+            exclude: ['app/'],
+            maxFileSize: '1KB',
+        });
+        assert.deepStrictEqual(await keysOf(backend), ['photos/a.jpg']);
+
+        const scanned = [];
+        for await (const file of backend.scan()) scanned.push(file.key.split(path.sep).join('/'));
+        assert.deepStrictEqual(scanned, ['photos/a.jpg']);
+    });
+
+    test('ignoreFiles: false disables ignore files; invalidate() picks up edits', async () => {
+        const plain = new FileBackend('fs:filter', { root: TEST_DIR, ignoreFiles: false });
+        assert.ok((await keysOf(plain)).includes('node_modules/pkg/index.js'));
+
+        const filter = new PathFilter(path.resolve(TEST_DIR));
+        assert.ok(!filter.ignores(path.join('photos', 'notes.txt')));
+        await fs.outputFile(path.join(TEST_DIR, 'photos/.storedignore'), '*.txt\n');
+        filter.invalidate(path.join('photos', '.storedignore'));
+        assert.ok(filter.ignores(path.join('photos', 'notes.txt')));
+        assert.ok(filter.ignores(path.join('node_modules', 'pkg', 'index.js')));
+    });
+
+    test('every walk re-reads ignore files added since the last one', async () => {
+        const backend = new FileBackend('fs:filter', { root: TEST_DIR });
+        assert.ok((await keysOf(backend)).includes('app/main.js'));
+
+        await fs.outputFile(path.join(TEST_DIR, 'app/.gitignore'), '*.js\n');
+        try {
+            assert.ok(!(await keysOf(backend)).includes('app/main.js'));
+            const scanned = [];
+            for await (const file of backend.scan()) scanned.push(file.key.split(path.sep).join('/'));
+            assert.ok(!scanned.includes('app/main.js'));
+        } finally {
+            await fs.remove(path.join(TEST_DIR, 'app/.gitignore'));
+        }
+        assert.ok((await keysOf(backend)).includes('app/main.js'));
+    });
+});
@@ -0,0 +1,14 @@
+import FileBackend from '../../src/backends/file/index.js';
+
+/**
+ * Third-party style driver: a file backend that reports itself as remote,
+ * so writes go through the sync worker.
+ */
+export default class RemoteFileBackend extends FileBackend {
+    static module = import.meta.url;
+
+    constructor(name, config = {}) {
+        super(name, config);
+        this.type = 'remote';
+    }
+}
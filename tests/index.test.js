@@ -0,0 +1,177 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import Index from '../src/index/index.js';
+
+const INDEX_DIR = './test-query-index';
+
+const record = (n, fields) => ({
+    checksums: { sha256: `${n}`.padStart(64, '0') },
+    locations: [{ backend: 'fs:a', key: `file-${n}`, synced: true }],
+    ...fields,
+});
+
+describe('Index', async () => {
+    let index;
+    const ids = [];
+
+    before(async () => {
+        await fs.remove(INDEX_DIR);
+        index = new Index(INDEX_DIR);
+        const records = [
+            { mimeType: 'image/png', size: 100, custom: { tag: 'holiday' } },
+            { mimeType: 'image/jpeg', size: 5000, custom: { tag: ['holiday', 'beach'] } },
+            { mimeType: 'text/plain', size: 10 },
+            { mimeType: 'image/png', size: 900, locations: [{ backend: 's3:b', key: 'x', synced: false }] },
+            { mimeType: 'application/pdf', size: 70000, locations: [
+                { backend: 'fs:a', key: 'doc.pdf', synced: true },
+                { backend: 's3:b', key: 'doc.pdf', synced: false },
+            ] },
+        ];
+        records.forEach((fields, n) => {
+            const id = `sha256:${n}`;
+            ids.push(id);
+            index.put(id, record(n, fields));
+        });
+    });
+
+    after(async () => {
+        index.close();
+        await fs.remove(INDEX_DIR);
+    });
+
+    const queryIds = filter => index.query(filter).items.map(m => m.id);
+
+    test('query() by mime type glob and exact type', () => {
+        assert.deepStrictEqual(queryIds({ mimeType: 'image/*' }).sort(), [ids[0], ids[1], ids[3]]);
+        assert.deepStrictEqual(queryIds({ mimeType: 'text/plain' }), [ids[2]]);
+    });
+
+    test('query() by size range, combined with other conditions', () => {
+        assert.deepStrictEqual(queryIds({ sizeGt: 100, sizeLte: 5000 }), [ids[3], ids[1]]);
+        assert.deepStrictEqual(queryIds({ mimeType: 'image/*', sizeGte: 1000 }), [ids[1]]);
+    });
+
+    test('query() by backend and pending sync state', () => {
+        assert.deepStrictEqual(queryIds({ backend: 's3:b' }).sort(), [ids[3], ids[4]]);
+        assert.deepStrictEqual(queryIds({ synced: false }).sort(), [ids[3], ids[4]]);
+        assert.deepStrictEqual(queryIds({ backend: 'fs:a', synced: true }).sort(), [ids[0], ids[1], ids[2], ids[4]]);
+    });
+
+    test('query() by custom metadata, including array values', () => {
+        assert.deepStrictEqual(queryIds({ custom: { tag: 'holiday' } }).sort(), [ids[0], ids[1]]);
+        assert.deepStrictEqual(queryIds({ custom: { tag: 'beach' } }), [ids[1]]);
+    });
+
+    test('query() by modification time', () => {
+        const future = new Date(Date.now() + 60_000);
+        assert.strictEqual(queryIds({ modifiedSince: 0 }).length, 5);
+        assert.strictEqual(queryIds({ modifiedSince: future }).length, 0);
+    });
+
+    test('query() pages with a cursor', () => {
+        const seen = [];
+        let cursor = null;
+        let pages = 0;
+        do {
+            const page = index.query({ limit: 2, cursor });
+            seen.push(...page.items.map(m => m.id));
+            cursor = page.cursor;
+            pages++;
+        } while (cursor);
+        assert.strictEqual(pages, 3);
+        assert.deepStrictEqual(seen.sort(), [...ids].sort());
+        assert.throws(() => index.query({ cursor: '%%%' }), /Invalid cursor/);
+    });
+
+    test('updates and deletes keep secondary indexes in sync', () => {
+        index.put(ids[2], { mimeType: 'text/markdown' });
+        assert.deepStrictEqual(queryIds({ mimeType: 'text/plain' }), []);
+        assert.deepStrictEqual(queryIds({ mimeType: 'text/markdown' }), [ids[2]]);
+
+        index.delete(ids[2]);
+        assert.deepStrictEqual(queryIds({ mimeType: 'text/*' }), []);
+    });
+
+    test('reindex() rebuilds the secondary indexes', () => {
+        assert.strictEqual(index.reindex(), 4);
+        assert.deepStrictEqual(index.findByBackend('s3:b').map(m => m.id).sort(), [ids[3], ids[4]]);
+    });
+
+    test('readdir() and dirStat() track files per directory', () => {
+        const id = 'sha256:tree';
+        index.put(id, { size: 10, locations: [
+            { backend: 'fs:t', key: 'docs/2024/a.txt' },
+            { backend: 'fs:t', key: 'docs/b.txt' },
+            { backend: 'fs:t', key: 'docs.txt' },
+        ] });
+
+        assert.deepStrictEqual(index.readdir('fs:t', 'docs').map(e => [e.name, e.type]), [
+            ['2024', 'directory'],
+            ['b.txt', 'file'],
+        ]);
+        assert.deepStrictEqual(index.dirStat('fs:t', '/docs/'), { files: 2, size: 20 });
+        assert.deepStrictEqual(index.dirStat('fs:t'), { files: 3, size: 30 });
+
+        index.put(id, { locations: [{ backend: 'fs:t', key: 'docs.txt' }] });
+        assert.strictEqual(index.dirStat('fs:t', 'docs'), null);
+        assert.deepStrictEqual(index.readdir('fs:t').map(e => e.name), ['docs.txt']);
+
+        index.delete(id);
+        assert.strictEqual(index.dirStat('fs:t'), null);
+    });
+
+    test('readdir() lists names with characters beyond the Basic Multilingual Plane', () => {
+        const id = 'sha256:emoji';
+        index.put(id, { size: 1, locations: [
+            { backend: 'fs:e', key: '😀top.txt' },
+            { backend: 'fs:e', key: 'plain.txt' },
+            { backend: 'fs:e', key: 'photos/😀.jpg' },
+        ] });
+
+        assert.deepStrictEqual(index.dirStat('fs:e'), { files: 3, size: 3 });
+        assert.deepStrictEqual(index.readdir('fs:e').map(e => [e.name, e.type]), [
+            ['photos', 'directory'],
+            ['plain.txt', 'file'],
+            ['😀top.txt', 'file'],
+        ]);
+        assert.deepStrictEqual(index.readdir('fs:e', 'photos').map(e => e.name), ['😀.jpg']);
+
+        index.delete(id);
+        assert.deepStrictEqual(index.readdir('fs:e'), []);
+    });
+
+    test('put() unmaps paths of dropped locations but keeps paths taken over by other records', () => {
+        index.put('sha256:p1', { locations: [{ backend: 'fs:p', key: 'one' }, { backend: 'fs:p', key: 'two' }] });
+        index.put('sha256:p2', { locations: [{ backend: 'fs:p', key: 'two' }] });
+
+        index.put('sha256:p1', { locations: [{ backend: 'fs:p', key: 'one' }] });
+        assert.strictEqual(index.get('fs:p:two').id, 'sha256:p2');
+
+        index.put('sha256:p1', { locations: [{ backend: 'fs:p', key: 'three' }] });
+        assert.strictEqual(index.get('fs:p:one'), null);
+        assert.strictEqual(index.get('fs:p:three').id, 'sha256:p1');
+    });
+
+    test('update() and transaction() roll back together on error', () => {
+        assert.throws(() => index.transaction(() => {
+            index.update('sha256:p1', meta => ({ locations: [...meta.locations, { backend: 'fs:p', key: 'four' }] }));
+            index.delete('sha256:p2');
+            throw new Error('abort');
+        }), /abort/);
+
+        assert.strictEqual(index.get('fs:p:four'), null);
+        assert.ok(index.get('sha256:p2'));
+        assert.strictEqual(index.update('sha256:missing', () => null), null);
+    });
+
+    test('rebuildPaths() drops dangling mappings and restores missing ones', () => {
+        const paths = index.openDB('paths');
+        paths.putSync('fs:p:dangling', 'sha256:gone');
+        paths.removeSync('fs:p:three');
+
+        index.rebuildPaths();
+        assert.strictEqual(index.get('fs:p:dangling'), null);
+        assert.strictEqual(index.get('fs:p:three').id, 'sha256:p1');
+    });
+});
@@ -0,0 +1,113 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import Stored from '../src/index.js';
+import ReplicationPolicy from '../src/policy/index.js';
+
+const TEST_DIR = './test-policy';
+const INDEX_DIR = './test-policy-index';
+
+describe('ReplicationPolicy', async () => {
+    const backends = [
+        { name: 'fs:a', type: 'local' },
+        { name: 'fs:b', type: 'local' },
+        { name: 's3:c', type: 'remote' },
+    ];
+
+    test('plan() adds backends until minimums are met', () => {
+        const policy = new ReplicationPolicy([{ minReplicas: 2, minRemote: 1 }]);
+        const plan = policy.plan({ locations: [{ backend: 'fs:a' }] }, backends);
+        assert.deepStrictEqual(plan.add, ['s3:c']);
+        assert.strictEqual(plan.satisfied, true);
+    });
+
+    test('plan() matches on mimeType, prefix and size', () => {
+        const policy = new ReplicationPolicy([
+            { name: 'images', match: { mimeType: 'image/*' }, backends: ['fs:b'] },
+            { name: 'big-docs', match: { prefix: 'docs/', minSize: '1KB' }, minReplicas: 3 },
+        ]);
+        const image = { mimeType: 'image/png', size: 10, locations: [{ backend: 'fs:a', key: 'x.png' }] };
+        assert.deepStrictEqual(policy.plan(image, backends), { policies: ['images'], add: ['fs:b'], satisfied: true });
+
+        const small = { mimeType: 'text/plain', size: 10, locations: [{ backend: 'fs:a', key: 'docs/a.txt' }] };
+        assert.deepStrictEqual(policy.plan(small, backends).policies, []);
+    });
+
+    test('plan() only counts pending uploads that have not failed', () => {
+        const policy = new ReplicationPolicy([{ minReplicas: 2, minRemote: 1 }]);
+        const failing = { locations: [{ backend: 'fs:a', synced: true }, { backend: 's3:c', synced: false, lastError: 'timeout' }] };
+        assert.deepStrictEqual(policy.plan(failing, backends), { policies: ['policy-0'], add: ['fs:b'], satisfied: false });
+
+        const pending = { locations: [{ backend: 'fs:a', synced: true }, { backend: 's3:c', synced: false }] };
+        assert.deepStrictEqual(policy.plan(pending, backends), { policies: ['policy-0'], add: [], satisfied: true });
+    });
+
+    test('plan() reports minimums that no set of backends can meet', () => {
+        const policy = new ReplicationPolicy([{ minReplicas: 4 }]);
+        const plan = policy.plan({ locations: [] }, backends);
+        assert.strictEqual(plan.add.length, 3);
+        assert.strictEqual(plan.satisfied, false);
+    });
+});
+
+describe('Replication', async () => {
+    let stored;
+    const root = name => path.join(TEST_DIR, name);
+    const exists = (name, key) => fs.pathExists(path.join(root(name), key));
+
+    before(async () => {
+        stored = new Stored({
+            index: { path: INDEX_DIR },
+            policies: [
+                { name: 'redundant', minReplicas: 2 },
+                { name: 'archive', match: { prefix: 'archive/' }, backends: ['fs:archive'] },
+            ],
+        });
+        for (const name of ['primary', 'mirror', 'archive']) {
+            stored.addBackend(`fs:${name}`, { driver: 'file', root: root(name) });
+        }
+    });
+
+    after(async () => {
+        await stored.stop();
+        await fs.remove(TEST_DIR);
+        await fs.remove(INDEX_DIR);
+        await fs.remove(INDEX_DIR + '-cache');
+    });
+
+    test('put() copies to extra backends to reach minReplicas', async () => {
+        const replicated = [];
+        stored.on('replicate', e => replicated.push(e));
+
+        const meta = await stored.put(Buffer.from('twice'), { key: 'notes/a.txt', backends: ['fs:primary'] });
+        assert.deepStrictEqual(meta.locations.map(l => l.backend), ['fs:primary', 'fs:mirror']);
+        assert.ok(await exists('mirror', 'notes/a.txt'));
+        assert.deepStrictEqual(replicated[0], { id: meta.id, backends: ['fs:mirror'], policies: ['redundant'] });
+    });
+
+    test('placement rules pin matching blobs to a backend', async () => {
+        const meta = await stored.put(Buffer.from('keep forever'), { key: 'archive/2024.txt', backends: ['fs:primary'] });
+        const names = meta.locations.map(l => l.backend);
+        assert.ok(names.includes('fs:archive'));
+        assert.strictEqual(names.length, 2);
+        assert.ok(await exists('archive', 'archive/2024.txt'));
+    });
+
+    test('removing a backend re-replicates the blobs it held', async () => {
+        const meta = await stored.put(Buffer.from('survivor'), { key: 'notes/b.txt', backends: ['fs:primary', 'fs:mirror'] });
+        await stored.removeBackend('fs:mirror');
+
+        const names = stored.stat(meta.id).locations.map(l => l.backend);
+        assert.ok(names.includes('fs:archive'));
+        assert.ok(await exists('archive', 'notes/b.txt'));
+    });
+
+    test('reconcile() reports blobs whose policies cannot be met', async () => {
+        await stored.removeBackend('fs:archive');
+        const summary = await stored.reconcile();
+        assert.ok(summary.checked >= 3);
+        assert.strictEqual(summary.replicated, 0);
+        assert.strictEqual(summary.unsatisfied, summary.checked);
+    });
+});
@@ -0,0 +1,248 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import crypto from 'crypto';
+import http from 'http';
+import fs from 'fs-extra';
+import Stored from '../src/index.js';
+
+const INDEX_DIR = './test-s3-index';
+const SCAN_INDEX_DIR = './test-s3-scan-index';
+const BUCKET = 'test-bucket';
+
+/**
+ * Minimal in-process S3 stand-in (path-style, ListObjectsV2, 2 keys per page)
+ */
+function createMockS3() {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const [, bucket, ...rest] = url.pathname.split('/');
+        const key = decodeURIComponent(rest.join('/'));
+        requests.push({ method: req.method, key });
+
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const body = Buffer.concat(chunks);
+
+        if (bucket !== BUCKET) return reply(res, 404, error('NoSuchBucket'));
+
+        if (req.method === 'GET' && !key) {
+            const prefix = url.searchParams.get('prefix') || '';
+            // Continuation tokens are the last key of the previous page
+            const startAfter = url.searchParams.get('continuation-token') || url.searchParams.get('start-after') || '';
+            const keys = [...objects.keys()].filter(k => k.startsWith(prefix) && k > startAfter).sort();
+            const page = keys.slice(0, 2);
+            const truncated = 2 < keys.length;
+            const contents = page.map(k => {
+                const obj = objects.get(k);
+                return `<Contents><Key>${k}</Key><LastModified>${obj.modified.toISOString()}</LastModified>`
+                    + `<ETag>"${obj.etag}"</ETag><Size>${obj.data.length}</Size></Contents>`;
+            }).join('');
+            return reply(res, 200, `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name>`
+                + `<Prefix>${prefix}</Prefix><KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>`
+                + (truncated ? `<NextContinuationToken>${page.at(-1)}</NextContinuationToken>` : '')
+                + `${contents}</ListBucketResult>`);
+        }
+
+        if (req.method === 'PUT' && req.headers['x-amz-copy-source']) {
+            const source = decodeURIComponent(req.headers['x-amz-copy-source']).replace(/^\/?[^/]+\//, '');
+            const obj = objects.get(source);
+            if (!obj) return reply(res, 404, error('NoSuchKey'));
+            objects.set(key, { ...obj, modified: new Date() });
+            return reply(res, 200, `<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult>`
+                + `<ETag>"${obj.etag}"</ETag><LastModified>${new Date().toISOString()}</LastModified></CopyObjectResult>`);
+        }
+
+        if (req.method === 'PUT') {
+            const metadata = Object.fromEntries(Object.entries(req.headers)
+                .filter(([h]) => h.startsWith('x-amz-meta-'))
+                .map(([h, v]) => [h.slice('x-amz-meta-'.length), v]));
+            const etag = crypto.createHash('md5').update(body).digest('hex');
+            objects.set(key, { data: body, etag, metadata, contentType: req.headers['content-type'], modified: new Date() });
+            res.setHeader('ETag', `"${etag}"`);
+            return reply(res, 200);
+        }
+
+        const obj = objects.get(key);
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            return reply(res, 204);
+        }
+        if (!obj) return reply(res, 404, req.method === 'HEAD' ? '' : error('NoSuchKey'));
+
+        let data = obj.data;
+        const range = req.headers.range?.match(/^bytes=(\d+)-(\d*)$/);
+        if (range) {
+            data = obj.data.subarray(Number(range[1]), range[2] ? Number(range[2]) + 1 : undefined);
+            res.statusCode = 206;
+        }
+
+        res.setHeader('ETag', `"${obj.etag}"`);
+        res.setHeader('Content-Length', data.length);
+        res.setHeader('Last-Modified', obj.modified.toUTCString());
+        if (obj.contentType) res.setHeader('Content-Type', obj.contentType);
+        for (const [k, v] of Object.entries(obj.metadata)) res.setHeader(`x-amz-meta-${k}`, v);
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+
+    return { server, objects, requests };
+}
+
+function reply(res, status, body = '') {
+    res.statusCode = status;
+    if (body) res.setHeader('Content-Type', 'application/xml');
+    res.end(body);
+}
+
+function error(code) {
+    return `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`;
+}
+
+describe('S3Backend', async () => {
+    let mock;
+    let stored;
+    let config;
+
+    before(async () => {
+        mock = createMockS3();
+        mock.server.listen(0, '127.0.0.1');
+        await once(mock.server, 'listening');
+
+        config = {
+            driver: 's3',
+            bucket: BUCKET,
+            prefix: 'blobs',
+            endpoint: `http://127.0.0.1:${mock.server.address().port}`,
+            credentials: { accessKeyId: 'test', secretAccessKey: 'test' },
+        };
+        stored = new Stored({ index: { path: INDEX_DIR }, checksums: ['sha256', 'md5'] });
+        stored.addBackend('s3:mock', config);
+    });
+
+    after(async () => {
+        await stored.stop();
+        mock.server.close();
+        await fs.remove(INDEX_DIR);
+        await fs.remove(INDEX_DIR + '-cache');
+        await fs.remove(SCAN_INDEX_DIR);
+        await fs.remove(SCAN_INDEX_DIR + '-cache');
+    });
+
+    test('registers as a remote backend', () => {
+        const backend = stored.getBackend('s3:mock');
+        assert.strictEqual(backend.type, 'remote');
+        assert.strictEqual(backend.bucket, BUCKET);
+    });
+
+    test('put() syncs to the bucket through the queue with checksum metadata', async () => {
+        const completed = once(stored, 'sync:complete');
+        const meta = await stored.put(Buffer.from('s3 content'), { key: 'docs/a.txt', backends: ['s3:mock'] });
+        assert.strictEqual(meta.locations[0].synced, false);
+        await completed;
+
+        const obj = mock.objects.get('blobs/docs/a.txt');
+        assert.strictEqual(obj.data.toString(), 's3 content');
+        assert.strictEqual(obj.metadata.sha256, meta.checksums.sha256);
+        assert.strictEqual(stored.stat(meta.id).locations[0].synced, true);
+        assert.deepStrictEqual(stored.stat(meta.id).locations[0].source, {
+            provider: 's3',
+            account: 'mock',
+            container: BUCKET,
+            path: 'docs/a.txt',
+        });
+    });
+
+    test('get(), stat() and delete() work against the bucket', async () => {
+        const backend = stored.getBackend('s3:mock');
+        await backend.put('docs/b.txt', Buffer.from('direct'), { mimeType: 'text/plain' });
+
+        assert.strictEqual((await backend.get('docs/b.txt')).toString(), 'direct');
+        const stat = await backend.stat('docs/b.txt');
+        assert.strictEqual(stat.size, 6);
+        assert.strictEqual(stat.etag, crypto.createHash('md5').update('direct').digest('hex'));
+        assert.strictEqual(stat.mimeType, 'text/plain');
+
+        assert.strictEqual((await backend.get('docs/b.txt', { range: { start: 1, end: 3 } })).toString(), 'ire');
+        assert.strictEqual(await backend.get('missing.txt'), null);
+        assert.strictEqual(await backend.stat('missing.txt'), null);
+        assert.strictEqual(await backend.delete('missing.txt'), false);
+        assert.strictEqual(await backend.delete('docs/b.txt'), true);
+        assert.strictEqual(await backend.stat('docs/b.txt'), null);
+    });
+
+    test('move() copies server-side and keeps checksum metadata', async () => {
+        const meta = stored.stat('s3:mock:docs/a.txt');
+        const { moved } = await stored.move('docs/a.txt', 'docs/moved.txt');
+        assert.deepStrictEqual(moved, ['s3:mock']);
+
+        assert.ok(!mock.objects.has('blobs/docs/a.txt'));
+        assert.strictEqual(mock.objects.get('blobs/docs/moved.txt').metadata.sha256, meta.checksums.sha256);
+        assert.strictEqual(stored.stat('s3:mock:docs/moved.txt').id, meta.id);
+        await stored.move('docs/moved.txt', 'docs/a.txt');
+    });
+
+    test('list() pages through the bucket', async () => {
+        const backend = stored.getBackend('s3:mock');
+        for (const name of ['c', 'd', 'e']) await backend.put(`list/${name}.txt`, Buffer.from(name));
+
+        const keys = [];
+        for await (const entry of backend.list({ prefix: 'list/' })) keys.push(entry.key);
+        assert.deepStrictEqual(keys, ['list/c.txt', 'list/d.txt', 'list/e.txt']);
+
+        const limited = [];
+        for await (const entry of backend.list({ prefix: 'list/', limit: 2 })) limited.push(entry.key);
+        assert.strictEqual(limited.length, 2);
+    });
+
+    test('scan() indexes objects from metadata without downloading them', async () => {
+        const fresh = new Stored({ index: { path: SCAN_INDEX_DIR }, checksums: ['sha256', 'md5'] });
+        fresh.addBackend('s3:mock', config);
+        mock.requests.length = 0;
+
+        const backend = fresh.getBackend('s3:mock');
+        const results = [];
+        for await (const entry of backend.scan({ algorithms: ['sha256', 'md5'] })) results.push(entry);
+        const synced = results.find(r => r.key === 'docs/a.txt');
+        assert.ok(synced.checksums.sha256);
+
+        // Objects written by other tools have no stored checksums and are not indexed
+        const foreign = results.find(r => r.key === 'list/c.txt');
+        assert.strictEqual(foreign.checksums, null);
+        assert.ok(foreign.etag);
+
+        const summary = await fresh.scan('s3:mock');
+        assert.ok(summary.added >= 1);
+        assert.ok(fresh.stat(`sha256:${synced.checksums.sha256}`));
+        assert.ok(!mock.requests.some(r => r.method === 'GET' && r.key));
+
+        assert.strictEqual(fresh.stat('s3:mock:list/c.txt'), null);
+
+        // Indexed and foreign objects alike are matched on size, mtime and ETag from the listing alone
+        mock.requests.length = 0;
+        const rescan = await fresh.scan('s3:mock');
+        assert.strictEqual(rescan.unchanged, summary.added);
+        assert.strictEqual(rescan.removed, 0);
+        assert.ok(!mock.requests.some(r => r.method === 'HEAD'));
+
+        // Listings resume behind a key
+        const after = [];
+        for await (const entry of backend.list({ after: 'docs/a.txt' })) after.push(entry.key);
+        assert.deepStrictEqual(after, results.map(r => r.key).filter(k => k > 'docs/a.txt'));
+
+        // An indexed key rewritten by another tool no longer holds the indexed content
+        const original = mock.objects.get('blobs/docs/a.txt');
+        const rewritten = Buffer.from('rewritten elsewhere');
+        mock.objects.set('blobs/docs/a.txt', { data: rewritten, etag: 'foreign', metadata: {}, modified: new Date() });
+        try {
+            const third = await fresh.scan('s3:mock');
+            assert.strictEqual(third.removed, 1);
+            assert.strictEqual(fresh.stat('s3:mock:docs/a.txt'), null);
+        } finally {
+            mock.objects.set('blobs/docs/a.txt', original);
+        }
+        await fresh.stop();
+    });
+});
@@ -0,0 +1,82 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import Stored from '../src/index.js';
+import FileBackend from '../src/backends/file/index.js';
+
+const TEST_DIR = './test-scan';
+const INDEX_DIR = './test-scan-index';
+const FILES = 30;
+
+const keys = Array.from({ length: FILES }, (_, i) => path.join(`dir-${i % 3}`, `file-${String(i).padStart(2, '0')}.txt`)).sort();
+
+describe('Scanning', async () => {
+    before(async () => {
+        await fs.remove(TEST_DIR);
+        await fs.remove(INDEX_DIR);
+        for (const [i, key] of keys.entries()) await fs.outputFile(path.join(TEST_DIR, key), `scan content ${i}`);
+    });
+
+    after(async () => {
+        await fs.remove(TEST_DIR);
+        await fs.remove(INDEX_DIR);
+        await fs.remove(INDEX_DIR + '-cache');
+    });
+
+    test('backend scan streams files in walk order and resumes after a key', async () => {
+        const backend = new FileBackend('fs:scan', { root: TEST_DIR, scanConcurrency: 8 });
+        const seen = [];
+        for await (const file of backend.scan()) seen.push(file.key);
+        assert.deepStrictEqual(seen, keys);
+
+        const rest = [];
+        for await (const file of backend.scan({ after: keys[9] })) rest.push(file.key);
+        assert.deepStrictEqual(rest, keys.slice(10));
+    });
+
+    test('reports progress with files and bytes done', async () => {
+        const backend = new FileBackend('fs:scan', { root: TEST_DIR });
+        const events = [];
+        backend.on('scan:progress', e => events.push(e));
+        for await (const file of backend.scan({ progressInterval: 0 })) assert.ok(file.checksums);
+
+        const last = events.at(-1);
+        assert.strictEqual(last.files, FILES);
+        assert.strictEqual(last.hashed, FILES);
+        const bytes = (await Promise.all(keys.map(key => fs.stat(path.join(TEST_DIR, key))))).reduce((sum, s) => sum + s.size, 0);
+        assert.strictEqual(last.bytes, bytes);
+        assert.ok(events.length > 1);
+    });
+
+    test('an aborted scan resumes from its checkpoint after a restart', async () => {
+        const first = new Stored({ index: { path: INDEX_DIR } });
+        first.addBackend('fs:scan', { driver: 'file', root: TEST_DIR });
+
+        const controller = new AbortController();
+        first.on('scan:progress', ({ files }) => { if (files === 10) controller.abort(); });
+        await assert.rejects(first.scan('fs:scan', { signal: controller.signal, progressInterval: 0 }), { name: 'AbortError' });
+        const indexed = first.index.size;
+        assert.ok(indexed >= 10 && indexed < FILES);
+        await first.stop();
+
+        const second = new Stored({ index: { path: INDEX_DIR } });
+        second.addBackend('fs:scan', { driver: 'file', root: TEST_DIR });
+        const starts = [];
+        second.on('scan:start', e => starts.push(e));
+        try {
+            const summary = await second.scan('fs:scan');
+            assert.ok(starts[0].after);
+            assert.strictEqual(summary.added, FILES);
+            assert.strictEqual(summary.removed, 0);
+            assert.strictEqual(second.index.size, FILES);
+
+            // The finished scan leaves no checkpoint behind
+            const again = await second.scan('fs:scan');
+            assert.strictEqual(starts[1].after, null);
+            assert.strictEqual(again.unchanged, FILES);
+        } finally {
+            await second.stop();
+        }
+    });
+});
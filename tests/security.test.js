@@ -0,0 +1,111 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import Stored from '../src/index.js';
+import FileBackend from '../src/backends/file/index.js';
+
+const TEST_DIR = './test-security';
+const ROOT = path.join(TEST_DIR, 'root');
+const OUTSIDE = path.join(TEST_DIR, 'outside');
+const INDEX_DIR = './test-security-index';
+
+const TRAVERSALS = [
+    '../escape.txt',
+    'nested/../../escape.txt',
+    '..',
+    '/etc/passwd',
+    path.resolve(TEST_DIR, 'outside/secret.txt'),
+    'C:\\Windows\\win.ini',
+    '..\\escape.txt',
+    'null\0byte.txt',
+];
+
+const keysOf = async (backend) => {
+    const keys = [];
+    for await (const entry of backend.list()) keys.push(entry.key.split(path.sep).join('/'));
+    return keys.sort();
+};
+
+describe('FileBackend key and symlink safety', async () => {
+    before(async () => {
+        await fs.remove(TEST_DIR);
+        await fs.outputFile(path.join(ROOT, 'real.txt'), 'inside the root');
+        await fs.outputFile(path.join(ROOT, 'dir/nested.txt'), 'nested file');
+        await fs.outputFile(path.join(OUTSIDE, 'secret.txt'), 'must not leak');
+
+        await fs.symlink(path.resolve(OUTSIDE), path.join(ROOT, 'escape'), 'dir');
+        await fs.symlink('real.txt', path.join(ROOT, 'alias.txt'));
+        await fs.symlink('..', path.join(ROOT, 'dir/loop'), 'dir');
+    });
+
+    after(async () => {
+        await fs.remove(TEST_DIR);
+        await fs.remove(INDEX_DIR);
+        await fs.remove(INDEX_DIR + '-cache');
+    });
+
+    test('traversal keys are rejected by every operation', async () => {
+        const backend = new FileBackend('fs:safe', { root: ROOT });
+        for (const key of TRAVERSALS) {
+            await assert.rejects(backend.put(key, Buffer.from('pwned')), /Invalid key/, key);
+            await assert.rejects(backend.get(key), /Invalid key/, key);
+            await assert.rejects(backend.stat(key), /Invalid key/, key);
+            await assert.rejects(backend.delete(key), /Invalid key/, key);
+            await assert.rejects(backend.move('real.txt', key), /Invalid key/, key);
+        }
+        assert.ok(!await fs.pathExists(path.join(TEST_DIR, 'escape.txt')));
+        assert.strictEqual(await fs.readFile(path.join(OUTSIDE, 'secret.txt'), 'utf8'), 'must not leak');
+        assert.ok(await fs.pathExists(path.join(ROOT, 'real.txt')));
+    });
+
+    test('Stored.put() surfaces rejected keys', async () => {
+        const stored = new Stored({ index: { path: INDEX_DIR } });
+        stored.addBackend('fs:safe', { driver: 'file', root: ROOT });
+        try {
+            await assert.rejects(stored.put(Buffer.from('pwned'), { key: '../../escape.txt' }), /Invalid key/);
+            assert.ok(!await fs.pathExists(path.join(TEST_DIR, 'escape.txt')));
+        } finally {
+            await stored.stop();
+        }
+    });
+
+    test('skip (default) ignores symlinks and blocks access through them', async () => {
+        const backend = new FileBackend('fs:safe', { root: ROOT });
+        assert.deepStrictEqual(await keysOf(backend), ['dir/nested.txt', 'real.txt']);
+        await assert.rejects(backend.get('escape/secret.txt'), /outside the backend root/);
+        await assert.rejects(backend.put('escape/planted.txt', Buffer.from('x')), /outside the backend root/);
+        assert.strictEqual(await backend.get('alias.txt'), null);
+        assert.ok(!await fs.pathExists(path.join(OUTSIDE, 'planted.txt')));
+    });
+
+    test('follow descends into symlinked directories once, cutting loops', async () => {
+        const backend = new FileBackend('fs:safe', { root: ROOT, symlinks: 'follow' });
+        assert.deepStrictEqual(await keysOf(backend), [
+            'alias.txt',
+            'dir/nested.txt',
+            'escape/secret.txt',
+            'real.txt',
+        ]);
+        assert.strictEqual((await backend.get('alias.txt')).toString(), 'inside the root');
+    });
+
+    test('link indexes the link itself with its target as content', async () => {
+        const backend = new FileBackend('fs:safe', { root: ROOT, symlinks: 'link' });
+        assert.deepStrictEqual(await keysOf(backend), ['alias.txt', 'dir/loop', 'dir/nested.txt', 'escape', 'real.txt']);
+
+        const scanned = [];
+        for await (const file of backend.scan()) scanned.push(file);
+        const alias = scanned.find(f => f.key === 'alias.txt');
+        assert.strictEqual(alias.symlink, 'real.txt');
+        assert.strictEqual(alias.mimeType, 'inode/symlink');
+        assert.strictEqual(alias.checksums.sha256, crypto.createHash('sha256').update('real.txt').digest('hex'));
+        assert.strictEqual((await backend.get('alias.txt')).toString(), 'real.txt');
+        await assert.rejects(backend.get('escape/secret.txt'), /outside the backend root/);
+    });
+
+    test('rejects unknown symlink policies', () => {
+        assert.throws(() => new FileBackend('fs:safe', { root: ROOT, symlinks: 'maybe' }), /Invalid symlink policy/);
+    });
+});
@@ -1,9 +1,14 @@
 import { test, describe, before, after } from 'node:test';
 import assert from 'node:assert';
+import crypto from 'crypto';
+import cacache from 'cacache';
 import fs from 'fs-extra';
 import path from 'path';
+import { once } from 'events';
 import { Readable } from 'stream';
 import Stored from '../src/index.js';
+import StorageBackend from '../src/backends/StorageBackend.js';
+import RemoteFileBackend from './fixtures/remote-file-driver.js';
 
 const TEST_DIR = './test-fixtures';
 const INDEX_DIR = './test-index';
@@ -55,6 +60,35 @@ describe('Stored', async () => {
         });
     });
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // FileBackend writes
+    // ─────────────────────────────────────────────────────────────────────────
+
+    describe('FileBackend writes', () => {
+        const tempFiles = async (dir) => (await fs.readdir(dir)).filter(f => f.endsWith('.stored-tmp'));
+
+        test('put() accepts a stream and renames into place', async () => {
+            const backend = stored.getBackend('fs:test');
+            const result = await backend.put('streamed/out.txt', Readable.from([Buffer.from('a'), Buffer.from('b')]));
+            assert.strictEqual(result.size, 2);
+            assert.strictEqual((await fs.readFile(path.join(TEST_DIR, 'streamed/out.txt'))).toString(), 'ab');
+            assert.deepStrictEqual(await tempFiles(path.join(TEST_DIR, 'streamed')), []);
+        });
+
+        test('put() leaves nothing behind when the stream fails', async () => {
+            const backend = stored.getBackend('fs:test');
+            const failing = new Readable({
+                read() {
+                    this.push(Buffer.from('half'));
+                    this.destroy(new Error('boom'));
+                },
+            });
+            await assert.rejects(backend.put('streamed/broken.txt', failing), /boom/);
+            assert.strictEqual(await fs.pathExists(path.join(TEST_DIR, 'streamed/broken.txt')), false);
+            assert.deepStrictEqual(await tempFiles(path.join(TEST_DIR, 'streamed')), []);
+        });
+    });
+
     // ─────────────────────────────────────────────────────────────────────────
     // put()
     // ─────────────────────────────────────────────────────────────────────────
@@ -92,6 +126,46 @@ describe('Stored', async () => {
             assert.strictEqual(meta.size, 14);
         });
 
+        test('streams file paths and large streams without buffering', async () => {
+            const chunk = Buffer.alloc(64 * 1024, 'z');
+            const chunks = 80; // ~5 MB
+            const expected = crypto.createHash('sha256');
+            for (let i = 0; i < chunks; i++) expected.update(chunk);
+
+            async function* generate() { for (let i = 0; i < chunks; i++) yield chunk; }
+            const meta = await stored.put(Readable.from(generate()), { key: 'large.bin' });
+            assert.strictEqual(meta.checksums.sha256, expected.digest('hex'));
+            assert.strictEqual(meta.size, chunk.length * chunks);
+            assert.strictEqual((await fs.stat(path.join(TEST_DIR, 'large.bin'))).size, meta.size);
+
+            const source = path.join(TEST_DIR, 'large.bin');
+            const fromFile = await stored.put(source, { key: 'large-copy.bin' });
+            assert.strictEqual(fromFile.id, meta.id);
+            assert.strictEqual((await fs.stat(path.join(TEST_DIR, 'large-copy.bin'))).size, meta.size);
+
+            const staged = Object.keys(await stored.cache.list()).filter(k => k.startsWith('tmp:'));
+            assert.deepStrictEqual(staged, []);
+        });
+
+        test('detects MIME type of streams from leading bytes', async () => {
+            const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+            const meta = await stored.put(Readable.from([png, Buffer.alloc(8192)]), { key: 'image.png' });
+            assert.strictEqual(meta.mimeType, 'image/png');
+        });
+
+        test('cleans up staged cache entries when a stream fails', async () => {
+            const failing = new Readable({
+                read() {
+                    this.push(Buffer.from('partial'));
+                    this.destroy(new Error('connection reset'));
+                },
+            });
+            await assert.rejects(stored.put(failing, { key: 'failed.bin' }), /connection reset/);
+            const staged = Object.keys(await stored.cache.list()).filter(k => k.startsWith('tmp:'));
+            assert.deepStrictEqual(staged, []);
+            assert.strictEqual(stored.has('fs:test:failed.bin'), false);
+        });
+
         test('auto-generates key from checksum if not provided', async () => {
             const meta = await stored.put(Buffer.from('auto-key'));
             assert.ok(meta.locations[0].key.includes('/'));
@@ -136,6 +210,39 @@ describe('Stored', async () => {
             const stream = await stored.get(testMeta.id, { stream: true });
             assert.ok(stream.pipe);
         });
+
+        test('returns a byte range from the cache', async () => {
+            const data = await stored.get(testMeta.id, { range: { start: 4, end: 7 } });
+            assert.strictEqual(data.toString(), 'test');
+
+            const stream = await stored.get(testMeta.id, { stream: true, range: { start: 9 } });
+            const chunks = [];
+            for await (const chunk of stream) chunks.push(chunk);
+            assert.strictEqual(Buffer.concat(chunks).toString(), 'data');
+        });
+
+        test('returns a byte range from a seekable backend on cache miss', async () => {
+            await stored.cache.delete(testMeta.id);
+            const data = await stored.get(testMeta.id, { range: { start: 0, end: 2 } });
+            assert.strictEqual(data.toString(), 'get');
+        });
+
+        test('slices the full stream for backends without range support', async () => {
+            await stored.cache.delete(testMeta.id);
+            const backend = stored.getBackend('fs:test');
+            backend.rangeReads = false;
+            try {
+                const data = await stored.get(testMeta.id, { range: { start: 4, end: 7 } });
+                assert.strictEqual(data.toString(), 'test');
+            } finally {
+                backend.rangeReads = true;
+            }
+        });
+
+        test('rejects unsatisfiable ranges', async () => {
+            await assert.rejects(stored.get(testMeta.id, { range: { start: 100 } }), RangeError);
+            await assert.rejects(stored.get(testMeta.id, { range: { start: 5, end: 2 } }), RangeError);
+        });
     });
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -183,13 +290,194 @@ describe('Stored', async () => {
             assert.ok(entries[0].id);
         });
 
-        test('lists backend files directly', async () => {
+        test('lists a backend from the index', async () => {
             const entries = [];
             for await (const entry of stored.list({ backend: 'fs:test' })) {
                 entries.push(entry);
             }
             assert.ok(entries.length > 0);
-            assert.ok(entries[0].key);
+            assert.ok(entries.every(e => e.backend === 'fs:test' && e.key && e.id));
+            const keys = entries.map(e => e.key);
+            assert.deepStrictEqual(keys, [...keys].sort());
+        });
+
+        test('filters by prefix and pages with limit and cursor', async () => {
+            for (const name of ['a', 'b', 'c', 'd', 'e']) {
+                await stored.put(Buffer.from(`page ${name}`), { key: `pages/${name}.txt` });
+            }
+            await stored.put(Buffer.from('outside prefix'), { key: 'pagesx.txt' });
+
+            const keys = [];
+            let cursor;
+            do {
+                const page = [];
+                for await (const entry of stored.list({ backend: 'fs:test', prefix: 'pages/', limit: 2, cursor })) {
+                    page.push(entry);
+                }
+                assert.ok(page.length <= 2);
+                keys.push(...page.map(e => e.key));
+                cursor = page.length === 2 ? page.at(-1).cursor : null;
+            } while (cursor);
+
+            assert.deepStrictEqual(keys, ['pages/a.txt', 'pages/b.txt', 'pages/c.txt', 'pages/d.txt', 'pages/e.txt']);
+
+            const all = [];
+            for await (const entry of stored.list({ prefix: 'pages/' })) all.push(entry.key);
+            assert.strictEqual(all.length, 5);
+        });
+
+        test('includes keys with characters beyond the Basic Multilingual Plane', async () => {
+            const top = await stored.put(Buffer.from('emoji at the top'), { key: '😀top.txt' });
+            const photo = await stored.put(Buffer.from('emoji in a folder'), { key: 'photos/😀.jpg' });
+            try {
+                const all = [];
+                for await (const entry of stored.list({ backend: 'fs:test' })) all.push(entry.key);
+                assert.ok(all.includes('😀top.txt'));
+                assert.ok(all.includes('photos/😀.jpg'));
+
+                const photos = [];
+                for await (const entry of stored.list({ prefix: 'photos/' })) photos.push(entry.key);
+                assert.deepStrictEqual(photos, ['photos/😀.jpg']);
+            } finally {
+                await stored.delete(top.id);
+                await stored.delete(photo.id);
+            }
+        });
+
+        test('query() finds entries through secondary indexes', async () => {
+            const meta = await stored.put(Buffer.from('{"query": true}'), {
+                key: 'query/data.json',
+                metadata: { project: 'query-test' },
+            });
+            const { items, cursor } = stored.query({ custom: { project: 'query-test' }, mimeType: 'application/*' });
+            assert.deepStrictEqual(items.map(m => m.id), [meta.id]);
+            assert.strictEqual(cursor, null);
+        });
+    });
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // readdir() & tree()
+    // ─────────────────────────────────────────────────────────────────────────
+
+    describe('readdir() & tree()', () => {
+        test('lists folders and files with aggregated totals', async () => {
+            await stored.put(Buffer.from('12345'), { key: 'tree/photos/one.jpg' });
+            await stored.put(Buffer.from('1234567890'), { key: 'tree/photos/2024/two.jpg' });
+            await stored.put(Buffer.from('abc'), { key: 'tree/readme.txt' });
+
+            const entries = stored.readdir('tree', { backend: 'fs:test' });
+            assert.deepStrictEqual(entries.map(e => [e.name, e.type]), [['photos', 'directory'], ['readme.txt', 'file']]);
+            assert.strictEqual(entries[0].files, 2);
+            assert.strictEqual(entries[0].size, 15);
+            assert.ok(entries[1].id);
+
+            const tree = stored.tree('tree');
+            assert.strictEqual(tree.files, 3);
+            assert.strictEqual(tree.size, 18);
+            const photos = tree.children.find(c => c.name === 'photos');
+            assert.deepStrictEqual(photos.children.map(c => c.name), ['2024', 'one.jpg']);
+            assert.strictEqual(photos.children[0].children[0].path, 'tree/photos/2024/two.jpg');
+        });
+
+        test('stays up to date on delete', async () => {
+            const meta = await stored.put(Buffer.from('temporary'), { key: 'tree/tmp/gone.txt' });
+            assert.strictEqual(stored.tree('tree/tmp').files, 1);
+
+            await stored.delete(meta.id);
+            assert.strictEqual(stored.tree('tree/tmp').files, 0);
+            assert.ok(!stored.readdir('tree').some(e => e.name === 'tmp'));
+        });
+    });
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // gc()
+    // ─────────────────────────────────────────────────────────────────────────
+
+    describe('gc()', () => {
+        const GC_DIR = path.join(TEST_DIR, '.gc');
+
+        before(() => stored.addBackend('fs:gc', { driver: 'file', root: GC_DIR }));
+        after(() => stored.removeBackend('fs:gc'));
+
+        test('reports orphans on a dry run and reclaims them otherwise', async () => {
+            const kept = await stored.put(Buffer.from('still referenced'), { key: 'kept.txt', backends: ['fs:gc'] });
+            await stored.cache.put('sha256:orphaned', Buffer.from('nobody points here'));
+            await fs.outputFile(path.join(GC_DIR, 'stray/file.txt'), 'not indexed');
+
+            const dry = await stored.gc({ dryRun: true, backends: ['fs:gc'] });
+            assert.ok(dry.cache.includes('sha256:orphaned'));
+            assert.ok(!dry.cache.includes(kept.id));
+            assert.deepStrictEqual(dry.backends['fs:gc'], ['stray/file.txt']);
+            assert.ok(await stored.cache.getInfo('sha256:orphaned'));
+
+            const report = await stored.gc({ backends: ['fs:gc'] });
+            assert.ok(report.freed >= 29);
+            assert.strictEqual(await stored.cache.getInfo('sha256:orphaned'), null);
+            assert.ok(!await fs.pathExists(path.join(GC_DIR, 'stray/file.txt')));
+            assert.ok(await fs.pathExists(path.join(GC_DIR, 'kept.txt')));
+            assert.ok(await stored.cache.getInfo(kept.id));
+        });
+
+        test('reclaims staging entries left behind by interrupted puts', async () => {
+            const { integrity } = await stored.cache.getInfo(
+                (await stored.put(Buffer.from('staged'), { key: 'staged.txt' })).id,
+            );
+            await cacache.index.insert(stored.cache.root, 'tmp:fresh', integrity, { size: 6 });
+            await cacache.index.insert(stored.cache.root, 'tmp:crashed', integrity, { size: 6, time: Date.now() - 2 * 60 * 60 * 1000 });
+
+            const report = await stored.gc();
+            assert.deepStrictEqual(report.cache.filter(key => key.startsWith('tmp:')), ['tmp:crashed']);
+            assert.ok(await stored.cache.getInfo('tmp:fresh'));
+            assert.strictEqual((await stored.get('fs:test:staged.txt')).toString(), 'staged');
+            await stored.cache.remove(['tmp:fresh']);
+        });
+    });
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // link() / unlink() / move()
+    // ─────────────────────────────────────────────────────────────────────────
+
+    describe('link() / unlink() / move()', () => {
+        test('link() adds a second key for the same content', async () => {
+            const meta = await stored.put(Buffer.from('shared content'), { key: 'keys/original.txt' });
+            const linked = await stored.link(meta.id, { backend: 'fs:test', key: 'keys/alias.txt' });
+
+            assert.deepStrictEqual(linked.locations.map(l => l.key), ['keys/original.txt', 'keys/alias.txt']);
+            assert.strictEqual((await fs.readFile(path.join(TEST_DIR, 'keys/alias.txt'))).toString(), 'shared content');
+            assert.strictEqual(stored.stat('fs:test:keys/alias.txt').id, meta.id);
+        });
+
+        test('link() refuses keys owned by other content', async () => {
+            const meta = await stored.put(Buffer.from('other content'), { key: 'keys/other.txt' });
+            await assert.rejects(stored.link(meta.id, { backend: 'fs:test', key: 'keys/original.txt' }), /already in use/);
+        });
+
+        test('unlink() removes one key and keeps the others', async () => {
+            const meta = stored.stat('fs:test:keys/original.txt');
+            assert.strictEqual(await stored.unlink('fs:test', 'keys/original.txt'), true);
+
+            assert.ok(!await fs.pathExists(path.join(TEST_DIR, 'keys/original.txt')));
+            assert.strictEqual(stored.stat('fs:test:keys/original.txt'), null);
+            assert.deepStrictEqual(stored.stat(meta.id).locations.map(l => l.key), ['keys/alias.txt']);
+            assert.strictEqual(await stored.unlink('fs:test', 'keys/original.txt'), false);
+        });
+
+        test('move() renames the key on the backend and in the index', async () => {
+            const meta = stored.stat('fs:test:keys/alias.txt');
+            const { moved } = await stored.move('keys/alias.txt', 'keys/renamed/final.txt');
+
+            assert.deepStrictEqual(moved, ['fs:test']);
+            assert.ok(!await fs.pathExists(path.join(TEST_DIR, 'keys/alias.txt')));
+            assert.ok(await fs.pathExists(path.join(TEST_DIR, 'keys/renamed/final.txt')));
+            assert.strictEqual(stored.stat('fs:test:keys/renamed/final.txt').id, meta.id);
+            assert.strictEqual(stored.stat('fs:test:keys/alias.txt'), null);
+            assert.deepStrictEqual(stored.readdir('keys/renamed').map(e => e.name), ['final.txt']);
+        });
+
+        test('unlinking the last key removes the record', async () => {
+            const meta = stored.stat('fs:test:keys/renamed/final.txt');
+            await stored.unlink('fs:test', 'keys/renamed/final.txt');
+            assert.strictEqual(stored.stat(meta.id), null);
         });
     });
 
@@ -210,6 +498,44 @@ describe('Stored', async () => {
             const result = await stored.delete('sha256:nonexistent');
             assert.deepStrictEqual(result.deleted, []);
         });
+
+        test('deleting a key keeps content shared with other keys', async () => {
+            const meta = await stored.put(Buffer.from('refcounted'), { key: 'refs/one.txt' });
+            await stored.link(meta.id, { backend: 'fs:test', key: 'refs/two.txt' });
+
+            await stored.delete('fs:test:refs/one.txt');
+            assert.deepStrictEqual(stored.stat(meta.id).locations.map(l => l.key), ['refs/two.txt']);
+            assert.ok(await stored.cache.getInfo(meta.id));
+
+            await stored.delete('fs:test:refs/two.txt');
+            assert.strictEqual(stored.stat(meta.id), null);
+            await new Promise(resolve => setTimeout(resolve, 50)); // release is fire-and-forget
+            assert.strictEqual(await stored.cache.getInfo(meta.id), null);
+        });
+
+        test('a put() right behind the delete() of the same content keeps its cache entry', async () => {
+            for (let i = 0; i < 5; i++) {
+                const bytes = Buffer.from(`deleted and put again ${i}`);
+                const meta = await stored.put(bytes, { key: `again-${i}/a.txt` });
+                await Promise.all([stored.delete(meta.id), stored.put(bytes, { key: `again-${i}/b.txt` })]);
+                await new Promise(resolve => setTimeout(resolve, 20)); // release is fire-and-forget
+
+                assert.deepStrictEqual(stored.stat(meta.id).locations.map(l => l.key), [`again-${i}/b.txt`]);
+                assert.deepStrictEqual(await stored.cache.get(meta.id).then(r => r.data), bytes);
+            }
+        });
+
+        test('overwriting a key takes it from the content it held before', async () => {
+            const first = await stored.put(Buffer.from('first owner'), { key: 'owned.txt' });
+            const second = await stored.put(Buffer.from('second owner'), { key: 'owned.txt' });
+
+            assert.strictEqual(stored.stat(first.id), null);
+            assert.strictEqual(stored.stat('fs:test:owned.txt').id, second.id);
+
+            const result = await stored.delete(first.id);
+            assert.deepStrictEqual(result.deleted, []);
+            assert.strictEqual(await fs.readFile(path.join(TEST_DIR, 'owned.txt'), 'utf8'), 'second owner');
+        });
     });
 
     // ─────────────────────────────────────────────────────────────────────────
@@ -223,29 +549,154 @@ describe('Stored', async () => {
         });
 
         test('indexes existing files', async () => {
-            const results = await stored.scan('fs:test');
-            const scanFiles = results.filter(r => r.key.startsWith('scan'));
+            const summary = await stored.scan('fs:test');
+            assert.ok(summary.added + summary.unchanged >= 2);
 
-            assert.ok(scanFiles.length >= 2);
-            assert.ok(scanFiles[0].checksums);
-            assert.ok(scanFiles[0].mimeType);
+            const meta = stored.stat('fs:test:scan2.txt');
+            assert.ok(meta.checksums.md5);
+            assert.ok(meta.mimeType);
+            assert.ok(meta.locations.find(l => l.key === 'scan2.txt').fingerprint.ino);
+        });
+
+        test('leaves the records of backends without scan() alone', async () => {
+            class MemoryBackend extends StorageBackend {
+                objects = new Map();
+                constructor(name, config) {
+                    super(name, config);
+                    this.type = 'local';
+                }
+                async put(key, data) {
+                    this.objects.set(key, Buffer.isBuffer(data) ? data : Buffer.concat(await data.toArray()));
+                    return { key, size: this.objects.get(key).length };
+                }
+                async get(key) { return this.objects.get(key) ?? null; }
+                async delete(key) { return this.objects.delete(key); }
+                async stat(key) { return this.objects.has(key) ? { key, size: this.objects.get(key).length } : null; }
+                async *list() { for (const [key, data] of this.objects) yield { key, size: data.length }; }
+            }
+
+            const memory = new Stored({ index: { path: INDEX_DIR + '-memory' }, drivers: { memory: MemoryBackend } });
+            try {
+                const backend = memory.addBackend('mem:test', { driver: 'memory' });
+                assert.strictEqual(backend.scannable, false);
+                assert.strictEqual(stored.getBackend('fs:test').scannable, true);
+
+                const meta = await memory.put(Buffer.from('only in memory'), { key: 'kept.txt' });
+                assert.deepStrictEqual(await memory.scan(), { added: 0, changed: 0, removed: 0, unchanged: 0 });
+                assert.deepStrictEqual(memory.stat(meta.id).locations.map(l => l.key), ['kept.txt']);
+                assert.ok(await memory.cache.getInfo(meta.id));
+            } finally {
+                await memory.stop();
+                await fs.remove(INDEX_DIR + '-memory');
+                await fs.remove(INDEX_DIR + '-memory-cache');
+            }
         });
 
         test('scanned files are retrievable by id', async () => {
-            const results = await stored.scan('fs:test');
-            const file = results.find(r => r.key === 'scan1.txt');
-
-            if (file?.checksums) {
-                const id = `sha256:${file.checksums.sha256}`;
-                const meta = stored.stat(id);
-                assert.ok(meta);
-                assert.deepStrictEqual(meta.locations[0].source, {
-                    provider: 'fs',
-                    account: 'test',
-                    container: 'test-fixtures',
-                    path: 'scan1.txt',
-                });
+            const meta = stored.stat('fs:test:scan1.txt');
+            assert.ok(meta);
+            const location = meta.locations.find(l => l.key === 'scan1.txt');
+            assert.deepStrictEqual(location.source, {
+                provider: 'fs',
+                account: 'test',
+                container: 'test-fixtures',
+                path: 'scan1.txt',
+            });
+        });
+
+        test('rescans skip unchanged files and report what changed', async () => {
+            const before = stored.stat('fs:test:scan1.txt').id;
+            await fs.writeFile(path.join(TEST_DIR, 'scan1.txt'), 'scan file 1, edited');
+            await fs.writeFile(path.join(TEST_DIR, 'scan3.txt'), 'scan file 3');
+            await fs.remove(path.join(TEST_DIR, 'scan2.txt'));
+
+            const scanned = [];
+            for await (const file of stored.getBackend('fs:test').scan({ known: key => stored.stat(`fs:test:${key}`)?.locations.find(l => l.key === key)?.fingerprint })) {
+                scanned.push(file);
             }
+            assert.ok(scanned.find(f => f.key === 'scan1.txt').checksums);
+            assert.ok(scanned.filter(f => f.unchanged).every(f => f.checksums === null));
+
+            const summary = await stored.scan('fs:test');
+            assert.strictEqual(summary.added, 1);
+            assert.strictEqual(summary.changed, 1);
+            assert.strictEqual(summary.removed, 1);
+            assert.strictEqual(summary.unchanged, scanned.length - 2);
+
+            assert.notStrictEqual(stored.stat('fs:test:scan1.txt').id, before);
+            assert.strictEqual(stored.stat('fs:test:scan2.txt'), null);
+            assert.ok(stored.stat('fs:test:scan3.txt'));
+
+            const again = await stored.scan('fs:test');
+            assert.deepStrictEqual([again.added, again.changed, again.removed], [0, 0, 0]);
+        });
+    });
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // verify()
+    // ─────────────────────────────────────────────────────────────────────────
+
+    describe('verify()', () => {
+        let corrupted;
+        let missing;
+
+        before(async () => {
+            corrupted = await stored.put(Buffer.from('verify corrupted'), { key: 'verify/corrupted.txt' });
+            missing = await stored.put(Buffer.from('verify missing'), { key: 'verify/missing.txt' });
+            await fs.writeFile(path.join(TEST_DIR, 'verify/corrupted.txt'), 'bit rot');
+            await fs.remove(path.join(TEST_DIR, 'verify/missing.txt'));
+        });
+
+        test('reports missing and corrupted replicas and marks them unsynced', async () => {
+            const events = [];
+            stored.on('verify:corrupted', e => events.push(['corrupted', e.id]));
+            stored.on('verify:missing', e => events.push(['missing', e.id]));
+
+            const summary = await stored.verify({ backend: 'fs:test' });
+            stored.removeAllListeners('verify:corrupted');
+            stored.removeAllListeners('verify:missing');
+
+            const problem = id => summary.problems.find(p => p.id === id);
+            assert.strictEqual(problem(corrupted.id).status, 'corrupted');
+            assert.strictEqual(problem(missing.id).status, 'missing');
+            assert.ok(summary.ok > 0);
+            assert.ok(events.some(([type, id]) => type === 'corrupted' && id === corrupted.id));
+            assert.ok(events.some(([type, id]) => type === 'missing' && id === missing.id));
+
+            const loc = stored.stat(corrupted.id).locations[0];
+            assert.strictEqual(loc.synced, false);
+            assert.strictEqual(loc.lastError, 'Checksum mismatch');
+            assert.ok(loc.lastVerified);
+        });
+
+        test('repairs bad replicas from the cache', async () => {
+            // Unsynced locations are skipped by verify(), so flag them synced again to re-check
+            for (const meta of [corrupted, missing]) {
+                const current = stored.stat(meta.id);
+                current.locations.forEach(l => { l.synced = true; });
+                stored.index.put(meta.id, current);
+            }
+            await stored.cache.delete(missing.id); // no cache copy and no other replica: stays broken
+
+            const summary = await stored.verify({ backend: 'fs:test', repair: true });
+            assert.ok(summary.repaired >= 1);
+            assert.strictEqual((await fs.readFile(path.join(TEST_DIR, 'verify/corrupted.txt'))).toString(), 'verify corrupted');
+            assert.strictEqual(stored.stat(corrupted.id).locations[0].synced, true);
+            assert.strictEqual(stored.stat(missing.id).locations[0].synced, false);
+        });
+
+        test('repairs from a healthy replica when the cache has no copy', async () => {
+            const MIRROR_DIR = path.join(TEST_DIR, '.mirror');
+            stored.addBackend('fs:mirror', { driver: 'file', root: MIRROR_DIR });
+            const meta = await stored.put(Buffer.from('replicated'), { key: 'verify/replica.txt', backends: ['fs:test', 'fs:mirror'] });
+            await stored.cache.delete(meta.id);
+            await fs.writeFile(path.join(TEST_DIR, 'verify/replica.txt'), 'damaged');
+
+            const summary = await stored.verify({ repair: true });
+            assert.strictEqual(summary.problems.find(p => p.id === meta.id).backend, 'fs:test');
+            assert.strictEqual((await fs.readFile(path.join(TEST_DIR, 'verify/replica.txt'))).toString(), 'replicated');
+            assert.ok(stored.stat(meta.id).locations.every(l => l.synced));
+            await stored.removeBackend('fs:mirror');
         });
     });
 
@@ -270,6 +721,148 @@ describe('Stored', async () => {
         });
     });
 
+    // ─────────────────────────────────────────────────────────────────────────
+    // Sync events
+    // ─────────────────────────────────────────────────────────────────────────
+
+    describe('Sync events', () => {
+        const REMOTE_DIR = path.join(TEST_DIR, '.remote');
+
+        before(() => {
+            // Treat a file backend as remote so writes go through the sync queue
+            stored.addBackend('fs:remote', { driver: 'file', root: REMOTE_DIR }).type = 'remote';
+        });
+
+        after(() => stored.removeBackend('fs:remote'));
+
+        test('emits sync:start and sync:complete per backend', async () => {
+            const started = once(stored, 'sync:start');
+            const completed = once(stored, 'sync:complete');
+            const meta = await stored.put(Buffer.from('sync event'), { key: 'sync-event.txt', backends: ['fs:remote'] });
+            assert.strictEqual(meta.locations[0].synced, false);
+
+            const [start] = await started;
+            const [complete] = await completed;
+            assert.deepStrictEqual(start, { id: meta.id, backend: 'fs:remote', key: 'sync-event.txt', attempt: 1 });
+            assert.deepStrictEqual(complete, { id: meta.id, backend: 'fs:remote', key: 'sync-event.txt', attempt: 1 });
+
+            const loc = stored.stat(meta.id).locations.find(l => l.backend === 'fs:remote');
+            assert.strictEqual(loc.synced, true);
+            assert.ok(loc.lastAttempt);
+        });
+
+        test('unlinking or moving a key before its sync leaves nothing behind', async () => {
+            const moved = new Promise(resolve => {
+                const onComplete = (e) => {
+                    if (e.key !== 'stray-c.txt') return;
+                    stored.off('sync:complete', onComplete);
+                    resolve();
+                };
+                stored.on('sync:complete', onComplete);
+            });
+            await stored.put(Buffer.from('stray a'), { key: 'stray-a.txt', backends: ['fs:remote'] });
+            await stored.put(Buffer.from('stray b'), { key: 'stray-b.txt', backends: ['fs:remote'] });
+            await stored.unlink('fs:remote', 'stray-a.txt');
+            await stored.move('stray-b.txt', 'stray-c.txt', { backend: 'fs:remote' });
+
+            await moved;
+            await new Promise(resolve => setTimeout(resolve, 50)); // stray writes are removed in the background
+            assert.ok(!await fs.pathExists(path.join(REMOTE_DIR, 'stray-a.txt')));
+            assert.ok(!await fs.pathExists(path.join(REMOTE_DIR, 'stray-b.txt')));
+            assert.strictEqual(await fs.readFile(path.join(REMOTE_DIR, 'stray-c.txt'), 'utf8'), 'stray b');
+            assert.ok(![...stored.syncQueue.jobs()].some(job => job.targets.some(t => t.key !== 'stray-c.txt' && t.key.startsWith('stray-'))));
+        });
+
+        test('link() to a remote backend re-caches evicted content from a synced replica', async () => {
+            const meta = await stored.put(Buffer.from('evicted before link'), { key: 'evicted-link.txt' });
+            await stored.cache.evict(meta.id);
+            assert.ok(!await stored.cache.getInfo(meta.id).catch(() => null));
+
+            const completed = new Promise((resolve, reject) => {
+                stored.on('sync:complete', function onComplete(e) {
+                    if (e.key !== 'linked-remote.txt') return;
+                    stored.off('sync:complete', onComplete);
+                    stored.off('sync:error', reject);
+                    resolve();
+                });
+                stored.once('sync:error', reject);
+            });
+            await stored.link(meta.id, { backend: 'fs:remote', key: 'linked-remote.txt' });
+            await completed;
+
+            assert.strictEqual((await fs.readFile(path.join(REMOTE_DIR, 'linked-remote.txt'))).toString(), 'evicted before link');
+            assert.strictEqual(stored.stat(meta.id).locations.find(l => l.backend === 'fs:remote').synced, true);
+        });
+
+        test('emits sync:error and records the failure on the location', async () => {
+            // Make the remote root unwritable by pointing it below a regular file
+            const backend = stored.getBackend('fs:remote');
+            const root = backend.config.root;
+            await fs.writeFile(path.join(TEST_DIR, 'not-a-dir'), 'x');
+            backend.config.root = path.join(TEST_DIR, 'not-a-dir', 'remote');
+
+            const failed = once(stored, 'sync:error');
+            const meta = await stored.put(Buffer.from('sync error'), { key: 'sync-error.txt', backends: ['fs:remote'] });
+            backend.config.root = root;
+
+            const [error] = await failed;
+            assert.strictEqual(error.id, meta.id);
+            assert.strictEqual(error.backend, 'fs:remote');
+            assert.strictEqual(error.key, 'sync-error.txt');
+            assert.strictEqual(error.attempt, 1);
+            assert.strictEqual(error.retrying, true);
+            assert.ok(error.error);
+
+            const loc = stored.stat(meta.id).locations.find(l => l.backend === 'fs:remote');
+            assert.strictEqual(loc.synced, false);
+            assert.strictEqual(loc.lastError, error.error);
+            assert.ok(loc.lastAttempt);
+
+            // The retry is persisted without the backend config
+            const queued = [...stored.syncQueue.jobs()].find(job => job.id === meta.id);
+            assert.deepStrictEqual(queued.targets, [{ name: 'fs:remote', driver: 'file', key: 'sync-error.txt' }]);
+        });
+    });
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // Driver registry
+    // ─────────────────────────────────────────────────────────────────────────
+
+    describe('Driver registry', () => {
+        const PLUGIN_DIR = path.join(TEST_DIR, '.plugin');
+
+        test('registerDriver() makes a third-party driver usable in both threads', async () => {
+            Stored.registerDriver('remote-file', RemoteFileBackend);
+            assert.ok(Stored.listDrivers().includes('remote-file'));
+
+            const backend = stored.addBackend('plugin:test', { driver: 'remote-file', root: PLUGIN_DIR });
+            assert.strictEqual(backend.type, 'remote');
+
+            const completed = once(stored, 'sync:complete');
+            await stored.put(Buffer.from('plugin data'), { key: 'plugin.txt', backends: ['plugin:test'] });
+            const [event] = await completed;
+
+            assert.strictEqual(event.backend, 'plugin:test');
+            assert.strictEqual((await fs.readFile(path.join(PLUGIN_DIR, 'plugin.txt'))).toString(), 'plugin data');
+            await stored.removeBackend('plugin:test');
+        });
+
+        test('registerDriver() rejects duplicates and non-drivers', () => {
+            assert.throws(() => Stored.registerDriver('file', RemoteFileBackend), /already registered/);
+            assert.throws(() => Stored.registerDriver('bogus', {}), /must extend StorageBackend/);
+        });
+
+        test('accepts drivers through config', async () => {
+            const other = new Stored({
+                index: { path: INDEX_DIR + '-drivers' },
+                drivers: { 'remote-file': RemoteFileBackend },
+            });
+            assert.strictEqual(other.addBackend('plugin:config', { driver: 'remote-file', root: PLUGIN_DIR }).type, 'remote');
+            await other.stop();
+            await fs.remove(INDEX_DIR + '-drivers');
+        });
+    });
+
     // ─────────────────────────────────────────────────────────────────────────
     // Persistence
     // ─────────────────────────────────────────────────────────────────────────
@@ -288,6 +881,42 @@ describe('Stored', async () => {
             assert.ok(persisted);
             assert.strictEqual(persisted.id, id);
         });
+
+        test('stop() right after delete() waits for the cache release', async () => {
+            const meta = await stored.put(Buffer.from('released on stop'), { key: 'release.txt' });
+            await stored.delete(meta.id);
+
+            // The release writes to the index environment; closing first used to crash the process
+            await stored.stop();
+            stored = new Stored({ index: { path: INDEX_DIR }, checksums: ['sha256', 'md5'] });
+            stored.addBackend('fs:test', { driver: 'file', root: TEST_DIR });
+
+            assert.strictEqual(stored.stat(meta.id), null);
+            assert.strictEqual(await stored.cache.getInfo(meta.id), null);
+        });
+
+        test('sync jobs resumed after a restart wait until their backend is added', async () => {
+            const LATER_DIR = path.join(TEST_DIR, '.later');
+            const meta = await stored.put(Buffer.from('uploaded after restart'), { key: 'later-local.txt' });
+            stored.index.put(meta.id, { locations: [...meta.locations, { backend: 'fs:later', key: 'later.txt', synced: false }] });
+            stored.syncQueue.enqueue({ id: meta.id, cacheRoot: stored.cache.root, cacheKey: meta.id, targets: [{ name: 'fs:later', driver: 'file', key: 'later.txt' }] });
+            assert.strictEqual([...stored.syncQueue.jobs()].find(job => job.id === meta.id).attempts, 0);
+
+            await stored.stop();
+            stored = new Stored({ index: { path: INDEX_DIR }, checksums: ['sha256', 'md5'] });
+            const events = [];
+            for (const name of ['sync:start', 'sync:error']) stored.on(name, e => events.push(name));
+            stored.addBackend('fs:test', { driver: 'file', root: TEST_DIR });
+            assert.deepStrictEqual(events, []);
+
+            const completed = once(stored, 'sync:complete');
+            stored.addBackend('fs:later', { driver: 'file', root: LATER_DIR });
+            const [complete] = await completed;
+            assert.strictEqual(complete.attempt, 1);
+            assert.deepStrictEqual(events, ['sync:start']);
+            assert.strictEqual(await fs.readFile(path.join(LATER_DIR, 'later.txt'), 'utf8'), 'uploaded after restart');
+            await stored.removeBackend('fs:later');
+        });
     });
 });
 
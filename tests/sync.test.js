@@ -0,0 +1,188 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { once } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import cacache from 'cacache';
+import Index from '../src/index/index.js';
+import SyncQueue from '../src/sync/SyncQueue.js';
+import BackendManager from '../src/backends/BackendManager.js';
+
+const SYNC_DIR = './test-sync';
+const INDEX_DIR = path.join(SYNC_DIR, 'index');
+const CACHE_DIR = path.join(SYNC_DIR, 'cache');
+const TARGET_DIR = path.join(SYNC_DIR, 'target');
+
+describe('SyncQueue', async () => {
+    let index;
+
+    before(async () => {
+        await fs.remove(SYNC_DIR);
+        index = new Index(INDEX_DIR);
+        await cacache.put(CACHE_DIR, 'sha256:synctest', Buffer.from('sync me'));
+    });
+
+    after(async () => {
+        index.close();
+        await fs.remove(SYNC_DIR);
+    });
+
+    const job = (key, driver = 'file') => ({
+        id: 'sha256:synctest',
+        cacheRoot: CACHE_DIR,
+        cacheKey: 'sha256:synctest',
+        targets: [{ name: 'remote', driver, module: BackendManager.driverModule(driver), config: { root: TARGET_DIR }, key }],
+    });
+
+    test('processes a job and removes it once completed', async () => {
+        const queue = new SyncQueue({ db: index.openDB('sync-ok') });
+        const record = queue.enqueue(job('ok.txt'));
+        assert.strictEqual(record.status, 'pending');
+        assert.strictEqual(record.attempts, 0);
+        assert.ok(record.created);
+
+        const [done] = await once(queue, 'completed');
+        assert.strictEqual(done.seq, record.seq);
+        assert.strictEqual(done.attempts, 1);
+        assert.strictEqual(queue.get(record.seq), null);
+        assert.strictEqual((await fs.readFile(path.join(TARGET_DIR, 'ok.txt'))).toString(), 'sync me');
+        await queue.stop();
+    });
+
+    test('retries with backoff and marks the job failed after maxAttempts', async () => {
+        const queue = new SyncQueue({ db: index.openDB('sync-fail'), maxAttempts: 3, retryDelay: 10 });
+        const delays = [];
+        queue.on('retry', ({ delay }) => delays.push(delay));
+        queue.enqueue(job('never.txt', 'nope'));
+
+        const [failed] = await once(queue, 'failed');
+        assert.strictEqual(failed.status, 'failed');
+        assert.strictEqual(failed.attempts, 3);
+        assert.match(failed.lastError, /Unknown driver/);
+        assert.ok(failed.lastAttempt);
+        assert.deepStrictEqual(delays, [10, 20]);
+        assert.strictEqual(queue.stats().failed, 1);
+        await queue.stop();
+    });
+
+    test('reports unreadable cache content as a failed target', async () => {
+        const integrity = await cacache.put(CACHE_DIR, 'sha256:gone', Buffer.from('about to vanish'));
+        await cacache.rm.content(CACHE_DIR, integrity);
+        const queue = new SyncQueue({ db: index.openDB('sync-unreadable'), retryDelay: 60000 });
+        queue.enqueue({ ...job('unreadable.txt'), id: 'sha256:gone', cacheKey: 'sha256:gone' });
+
+        try {
+            const [{ results }] = await once(queue, 'synced');
+            assert.strictEqual(results.length, 1);
+            assert.strictEqual(results[0].success, false);
+            assert.match(results[0].error, /Cache read failed/);
+            assert.ok(!await fs.pathExists(path.join(TARGET_DIR, 'unreadable.txt')));
+        } finally {
+            await queue.stop();
+        }
+    });
+
+    test('retries only the failed key when one backend takes several', async () => {
+        await fs.outputFile(path.join(TARGET_DIR, 'blocker.txt'), 'a file, not a folder');
+        const queue = new SyncQueue({ db: index.openDB('sync-keys'), retryDelay: 60000 });
+        const record = job('first.txt');
+        record.targets.push({ ...record.targets[0], key: 'blocker.txt/second.txt' });
+        queue.enqueue(record);
+
+        try {
+            const [{ results, job: retried }] = await once(queue, 'synced');
+            assert.deepStrictEqual(results.map(r => [r.key, r.success]), [['first.txt', true], ['blocker.txt/second.txt', false]]);
+            assert.deepStrictEqual(retried.targets.map(t => t.key), ['blocker.txt/second.txt']);
+        } finally {
+            await queue.stop();
+        }
+    });
+
+    test('cancel() drops waiting targets and never retries an active one', async () => {
+        await fs.outputFile(path.join(TARGET_DIR, 'blocker.txt'), 'a file, not a folder');
+        const queue = new SyncQueue({ db: index.openDB('sync-cancel'), retryDelay: 60000 });
+        const active = queue.enqueue(job('blocker.txt/cancelled.txt'));
+        const waiting = queue.enqueue(job('waiting.txt'));
+
+        try {
+            assert.strictEqual(queue.cancel('remote', 'waiting.txt'), false);
+            assert.strictEqual(queue.get(waiting.seq), null);
+            assert.strictEqual(queue.cancel('remote', 'blocker.txt/cancelled.txt'), true);
+
+            const [{ results, job: done }] = await once(queue, 'synced');
+            assert.strictEqual(results[0].success, false);
+            assert.strictEqual(done.seq, active.seq);
+            assert.strictEqual(done.status, 'completed');
+            assert.ok(!await fs.pathExists(path.join(TARGET_DIR, 'waiting.txt')));
+        } finally {
+            await queue.stop();
+        }
+    });
+
+    test('resumes unfinished jobs after restart', async () => {
+        const db = index.openDB('sync-restart');
+        const first = new SyncQueue({ db });
+        const record = first.enqueue(job('resumed.txt'));
+        await first.stop();
+        assert.notStrictEqual(db.get(record.seq)?.status, 'completed');
+
+        const second = new SyncQueue({ db });
+        assert.strictEqual(second.get(record.seq).status, 'pending');
+        second.start();
+        const [done] = await once(second, 'completed');
+        assert.strictEqual(done.seq, record.seq);
+        assert.ok(await fs.pathExists(path.join(TARGET_DIR, 'resumed.txt')));
+        await second.stop();
+    });
+
+    test('holds back jobs whose backend cannot be resolved yet, without using an attempt', async () => {
+        let available = false;
+        const started = [];
+        const queue = new SyncQueue({
+            db: index.openDB('sync-held'),
+            resolveTarget: target => (available ? { ...target, module: BackendManager.driverModule('file'), config: { root: TARGET_DIR } } : null),
+        });
+        queue.on('start', active => started.push(active));
+
+        try {
+            const record = queue.enqueue({ ...job('held.txt'), targets: [{ name: 'remote', driver: 'file', key: 'held.txt' }] });
+            assert.deepStrictEqual(started, []);
+            assert.strictEqual(queue.get(record.seq).status, 'pending');
+
+            available = true;
+            queue.start();
+            const [done] = await once(queue, 'completed');
+            assert.strictEqual(done.attempts, 1);
+            assert.ok(await fs.pathExists(path.join(TARGET_DIR, 'held.txt')));
+        } finally {
+            await queue.stop();
+        }
+    });
+
+    test('resolveTarget supplies backend config at dispatch; stored jobs never keep it', async () => {
+        const db = index.openDB('sync-resolve');
+        const legacy = new SyncQueue({ db });
+        const record = legacy.enqueue(job('resolved.txt'));
+        await legacy.stop();
+        assert.ok('config' in db.get(record.seq).targets[0]);
+
+        const resolved = [];
+        const queue = new SyncQueue({
+            db,
+            resolveTarget: (target) => {
+                resolved.push(target);
+                return { ...target, module: BackendManager.driverModule('file'), config: { root: TARGET_DIR } };
+            },
+        });
+        try {
+            assert.deepStrictEqual(Object.keys(db.get(record.seq).targets[0]).sort(), ['driver', 'key', 'name']);
+            queue.start();
+            const [done] = await once(queue, 'completed');
+            assert.strictEqual(done.seq, record.seq);
+            assert.deepStrictEqual(resolved.map(t => t.key), ['resolved.txt']);
+            assert.ok(await fs.pathExists(path.join(TARGET_DIR, 'resolved.txt')));
+        } finally {
+            await queue.stop();
+        }
+    });
+});
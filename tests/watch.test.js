@@ -0,0 +1,195 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import Stored from '../src/index.js';
+
+const TEST_DIR = './test-watch';
+const INDEX_DIR = './test-watch-index';
+
+// Watcher events settle after chokidar's awaitWriteFinish (200ms) plus hashing
+const SETTLE_MS = 1000;
+
+function record(stored, events) {
+    const seen = [];
+    for (const event of events) stored.on(event, e => seen.push({ event, ...e }));
+    return seen;
+}
+
+function waitFor(stored, event, predicate = () => true, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+        const listener = e => {
+            if (!predicate(e)) return;
+            clearTimeout(timer);
+            stored.off(event, listener);
+            resolve(e);
+        };
+        stored.on(event, listener);
+    });
+}
+
+describe('Watcher', async () => {
+    let stored;
+    let events;
+
+    before(async () => {
+        await fs.remove(TEST_DIR);
+        await fs.ensureDir(TEST_DIR);
+        stored = new Stored({ index: { path: INDEX_DIR } });
+        stored.addBackend('fs:watched', { driver: 'file', root: TEST_DIR, watch: true });
+        events = record(stored, ['file:add', 'file:change', 'file:unlink']);
+        await sleep(200); // let chokidar finish its initial crawl
+    });
+
+    after(async () => {
+        await stored.stop();
+        await fs.remove(TEST_DIR);
+        await fs.remove(INDEX_DIR);
+        await fs.remove(INDEX_DIR + '-cache');
+    });
+
+    test('reports files written by users with origin "watcher"', async () => {
+        const added = waitFor(stored, 'file:add', e => e.key === 'user.txt');
+        await fs.writeFile(path.join(TEST_DIR, 'user.txt'), 'typed by a user');
+
+        const event = await added;
+        assert.strictEqual(event.origin, 'watcher');
+        assert.strictEqual(stored.stat('fs:watched:user.txt').id, event.id);
+    });
+
+    test('does not echo writes and deletes made through the API', async () => {
+        events.length = 0;
+        const meta = await stored.put(Buffer.from('written by the api'), { key: 'api.txt' });
+        await sleep(SETTLE_MS);
+        await stored.delete(meta.id);
+        await sleep(SETTLE_MS);
+
+        assert.deepStrictEqual(events.filter(e => e.key === 'api.txt'), []);
+        assert.strictEqual(stored.stat(meta.id), null);
+    });
+
+    test('a user edit after an API write is reported as file:change', async () => {
+        const written = await stored.put(Buffer.from('api version'), { key: 'edited.txt' });
+        await sleep(SETTLE_MS);
+
+        events.length = 0;
+        const changed = waitFor(stored, 'file:change', e => e.key === 'edited.txt');
+        await fs.writeFile(path.join(TEST_DIR, 'edited.txt'), 'user version, longer');
+        const event = await changed;
+        assert.strictEqual(event.origin, 'watcher');
+        assert.strictEqual(event.previous, written.id);
+        assert.notStrictEqual(event.id, written.id);
+        assert.strictEqual(stored.stat(written.id), null);
+
+        // The same shape a catch-up scan reports: no separate unlink/add pair
+        assert.deepStrictEqual(events.filter(e => e.key === 'edited.txt').map(e => e.event), ['file:change']);
+    });
+
+    test('reports a rename as a single file:move and keeps the record', async () => {
+        const added = waitFor(stored, 'file:add', e => e.key === 'before.txt');
+        await fs.writeFile(path.join(TEST_DIR, 'before.txt'), 'content that moves');
+        const { id } = await added;
+        const created = stored.stat(id).created;
+
+        events.length = 0;
+        const moved = waitFor(stored, 'file:move', e => e.id === id);
+        await fs.ensureDir(path.join(TEST_DIR, 'moved'));
+        await fs.rename(path.join(TEST_DIR, 'before.txt'), path.join(TEST_DIR, 'moved/after.txt'));
+
+        const event = await moved;
+        assert.strictEqual(event.from, 'before.txt');
+        assert.strictEqual(event.to, path.join('moved', 'after.txt'));
+        assert.deepStrictEqual(stored.stat(id).locations.map(l => l.key), [event.to]);
+        assert.strictEqual(stored.stat(id).created, created);
+        assert.strictEqual(stored.stat('fs:watched:before.txt'), null);
+        assert.deepStrictEqual(events.filter(e => e.id === id || e.key === 'before.txt'), []);
+    });
+
+    test('an unlink without a matching add is applied after the move window', async () => {
+        const added = waitFor(stored, 'file:add', e => e.key === 'gone.txt');
+        await fs.writeFile(path.join(TEST_DIR, 'gone.txt'), 'about to be removed');
+        const { id } = await added;
+
+        const unlinked = waitFor(stored, 'file:unlink', e => e.key === 'gone.txt', 8000);
+        await fs.remove(path.join(TEST_DIR, 'gone.txt'));
+        await sleep(500);
+        assert.ok(stored.stat(id), 'still indexed while a move could be pending');
+
+        await unlinked;
+        assert.strictEqual(stored.stat(id), null);
+    });
+
+    test('emitEchoes re-emits API writes tagged origin "api"', async () => {
+        const echoing = new Stored({ index: { path: INDEX_DIR + '-echo' }, emitEchoes: true });
+        echoing.addBackend('fs:echo', { driver: 'file', root: path.join(TEST_DIR, '.echo'), watch: true });
+        await sleep(200);
+
+        try {
+            const echoed = waitFor(echoing, 'file:add', e => e.key === 'echo.txt');
+            const meta = await echoing.put(Buffer.from('echo me'), { key: 'echo.txt' });
+            const event = await echoed;
+            assert.strictEqual(event.origin, 'api');
+            assert.strictEqual(event.id, meta.id);
+        } finally {
+            await echoing.stop();
+            await fs.remove(INDEX_DIR + '-echo');
+            await fs.remove(INDEX_DIR + '-echo-cache');
+        }
+    });
+});
+
+describe('Watcher catch-up', async () => {
+    const ROOT = './test-watch-catchup';
+    const CATCHUP_INDEX = './test-watch-catchup-index';
+
+    before(async () => {
+        await fs.remove(ROOT);
+        await fs.remove(CATCHUP_INDEX);
+        await fs.outputFile(path.join(ROOT, 'kept.txt'), 'left alone');
+        await fs.outputFile(path.join(ROOT, 'edited.txt'), 'before the restart');
+        await fs.outputFile(path.join(ROOT, 'deleted.txt'), 'removed while down');
+
+        const offline = new Stored({ index: { path: CATCHUP_INDEX } });
+        offline.addBackend('fs:home', { driver: 'file', root: ROOT });
+        await offline.scan('fs:home');
+        await offline.stop();
+    });
+
+    after(async () => {
+        await fs.remove(ROOT);
+        await fs.remove(CATCHUP_INDEX);
+        await fs.remove(CATCHUP_INDEX + '-cache');
+    });
+
+    test('changes made while stopped are reported when watching starts', async () => {
+        await fs.outputFile(path.join(ROOT, 'added.txt'), 'created while down');
+        await fs.outputFile(path.join(ROOT, 'edited.txt'), 'after the restart, edited');
+        await fs.remove(path.join(ROOT, 'deleted.txt'));
+
+        const stored = new Stored({ index: { path: CATCHUP_INDEX } });
+        const events = record(stored, ['file:add', 'file:change', 'file:unlink']);
+        const before = stored.stat('fs:home:edited.txt').id;
+        const complete = waitFor(stored, 'catchup:complete');
+        stored.addBackend('fs:home', { driver: 'file', root: ROOT, watch: true });
+
+        try {
+            const counts = await complete;
+            assert.deepStrictEqual(
+                [counts.added, counts.changed, counts.removed, counts.unchanged],
+                [1, 1, 1, 1],
+            );
+            assert.deepStrictEqual(events.map(e => [e.event, e.key, e.origin]).sort(), [
+                ['file:add', 'added.txt', 'scan'],
+                ['file:change', 'edited.txt', 'scan'],
+                ['file:unlink', 'deleted.txt', 'scan'],
+            ]);
+            assert.strictEqual(events.find(e => e.event === 'file:change').previous, before);
+            assert.strictEqual(stored.stat('fs:home:deleted.txt'), null);
+            assert.ok(stored.stat('fs:home:added.txt'));
+        } finally {
+            await stored.stop();
+        }
+    });
+});